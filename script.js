@@ -11,13 +11,41 @@ const ringLabel = $('#ringLabel');
 const celebrate = $('#celebrate');
 const themeToggle = $('#themeToggle');
 
+// Keys in the `settings` store
 const STORAGE_KEYS = {
-  text: 'wt:text',
-  goal: 'wt:goal',
+  theme: 'theme',
+  appearance: 'appearance',
+  streak: 'streak',
+  streakRules: 'streakRules',
+  wordAccounting: 'wordAccounting', // 'gross' (drafting) or 'net'
+  idleTimeout: 'idleTimeout', // ms without typing before the clock stops
+  wordsPerPage: 'wordsPerPage', // page size for goals measured in pages
+  wordCounting: 'wordCounting', // counting rules (see WORD_COUNT_DEFAULTS)
+  dayBoundary: 'dayBoundary', // { startHour, timeZone } of the writing day
+  dailyGoal: 'dailyGoal', // words to write each day, 0 for none
+  sprintFavorites: 'sprintFavorites', // sprint lengths in minutes
+  pomodoro: 'pomodoro', // see POMODORO_DEFAULTS
+  activeSprint: 'activeSprint', // the sprint in progress, across reloads
+  activePomodoro: 'activePomodoro', // the Pomodoro cycle in progress
+  activeDoc: 'activeDoc',
+  installId: 'installId',
+  vault: 'vault', // passphrase salt + check value, never the passphrase
+};
+
+// Keys from the original single `content` store (schema v1–v3)
+const LEGACY_KEYS = {
+  text: 'wt:text', // single draft (migrated into `documents` in v2)
+  goal: 'wt:goal', // single goal (migrated into `documents` in v2)
   theme: 'wt:theme',
-  stats: 'wt:stats',
+  appearance: 'wt:appearance',
+  streak: 'wt:streakData',
+  activeDoc: 'wt:activeDoc',
+  sessionStats: 'wt:sessionStats',
+  typingTime: 'wt:typingTime',
 };
 
+const DEFAULT_GOAL = 1000;
+
 // ------------------------------------------------------------------
 // START: ASYNCHRONOUS STORAGE HELPER (IndexedDB via Dexie)
 // ------------------------------------------------------------------
@@ -25,16 +53,134 @@ const STORAGE_KEYS = {
 // 1. Define the Database Structure
 const db = new Dexie('MinWriteDB'); // Renamed to fit your app
 
-// 2. Define the Object Store
-// 'content' is the storage area. 'key' is the primary key.
-db.version(1).stores({
-  content: 'key', // This defines a store where we can save items by a unique 'key'
+/**
+ * Converts the loose `wt:*` blobs of the v1–v3 `content` store into
+ * `settings` rows and per-day `dailyStats` rows. Pure, so it is shared by
+ * the v4 database upgrade and by restoring backups made before v4.
+ * Unknown keys are carried over into `settings` as-is so nothing is lost.
+ * @param {Array<{key: string, value: *}>} contentRows - Rows of the old store
+ * @returns {{settings: Array<Object>, dailyStats: Array<Object>}}
+ */
+function migrateLegacyContent(contentRows) {
+  const settings = [];
+  const days = new Map();
+  const dayRow = (date) => {
+    if (!days.has(date)) days.set(date, createDailyStats(date));
+    return days.get(date);
+  };
+
+  const renamed = {
+    [LEGACY_KEYS.theme]: STORAGE_KEYS.theme,
+    [LEGACY_KEYS.appearance]: STORAGE_KEYS.appearance,
+    [LEGACY_KEYS.streak]: STORAGE_KEYS.streak,
+    [LEGACY_KEYS.activeDoc]: STORAGE_KEYS.activeDoc,
+  };
+
+  contentRows.forEach(({ key, value }) => {
+    if (key === LEGACY_KEYS.sessionStats) {
+      if (!value?.date) return;
+      const row = dayRow(value.date);
+      row.words = value.words || 0;
+      row.sprints = value.sprints || 0;
+      row.bestSprint = value.bestSprint || 0;
+    } else if (key === LEGACY_KEYS.typingTime) {
+      // Typing time was stamped with Date#toDateString()
+      const date = new Date(value?.date);
+      if (isNaN(date)) return;
+      dayRow(toDateStamp(date)).typingMs = value.time || 0;
+    } else {
+      settings.push({ key: renamed[key] || key, value });
+    }
+  });
+
+  return { settings, dailyStats: [...days.values()] };
+}
+
+// 2. Schema migrations, oldest first. Each entry is one Dexie version:
+// `stores` is the full schema at that version, `upgrade` moves existing
+// data forward. Never edit a shipped entry — append a new version instead,
+// so long-time users upgrade step by step from whatever they have.
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    // 'content' is the storage area. 'key' is the primary key.
+    stores: { content: 'key' },
+  },
+  {
+    // Document library. The old single draft becomes the first document.
+    version: 2,
+    stores: { content: 'key', documents: '++id, updatedAt' },
+    upgrade: async (tx) => {
+      const content = tx.table('content');
+      const legacyText = await content.get(LEGACY_KEYS.text);
+      const legacyGoal = await content.get(LEGACY_KEYS.goal);
+      const now = Date.now();
+
+      const id = await tx.table('documents').add({
+        title: 'My Writing',
+        text: legacyText?.value || '',
+        goal: parseInt(legacyGoal?.value, 10) || DEFAULT_GOAL,
+        createdAt: now,
+        updatedAt: now,
+      });
+
+      await content.put({ key: LEGACY_KEYS.activeDoc, value: id });
+      await content.bulkDelete([LEGACY_KEYS.text, LEGACY_KEYS.goal]);
+    },
+  },
+  {
+    // Version history: point-in-time copies of a document's text.
+    version: 3,
+    stores: {
+      content: 'key',
+      documents: '++id, updatedAt',
+      snapshots: '++id, docId, createdAt',
+    },
+  },
+  {
+    // Real object stores replace the loose `content` blobs: one stats row
+    // per day, one row per sprint, and a key/value store for settings.
+    version: 4,
+    stores: {
+      content: null,
+      documents: '++id, updatedAt',
+      snapshots: '++id, docId, createdAt',
+      dailyStats: 'date',
+      sprints: '++id, date, startedAt',
+      settings: 'key',
+    },
+    upgrade: async (tx) => {
+      const rows = await tx.table('content').toArray();
+      const { settings, dailyStats } = migrateLegacyContent(rows);
+      await tx.table('settings').bulkPut(settings);
+      await tx.table('dailyStats').bulkPut(dailyStats);
+    },
+  },
+  {
+    // Documents linked to files on disk (File System Access handles)
+    version: 5,
+    stores: {
+      documents: '++id, updatedAt',
+      snapshots: '++id, docId, createdAt',
+      dailyStats: 'date',
+      sprints: '++id, date, startedAt',
+      settings: 'key',
+      fileLinks: 'docId',
+    },
+  },
+];
+
+// 3. Migration runner: register every version with Dexie, which applies the
+// pending upgrades in order the first time the database is opened.
+SCHEMA_MIGRATIONS.forEach(({ version, stores, upgrade }) => {
+  const schema = db.version(version).stores(stores);
+  if (upgrade) schema.upgrade(upgrade);
 });
 
 // A standard helper function to wrap the DB operations
 const storage = {
   /**
-   * Get a value from IndexedDB (Asynchronous)
+   * Get a setting from IndexedDB (Asynchronous)
    * @param {string} key - Storage key
    * @param {*} defaultValue - Value to return if key doesn't exist
    * @returns {Promise<*>} The parsed value or default
@@ -42,8 +188,8 @@ const storage = {
 
   async get(key, defaultValue = null) {
     try {
-      // Look up the item in the 'content' store by its key
-      const item = await db.content.get(key);
+      // Look up the item in the 'settings' store by its key
+      const item = await db.settings.get(key);
 
       // If the item exists, return its 'value'. Otherwise, return the defaultValue.
       return item ? item.value : defaultValue;
@@ -58,7 +204,7 @@ const storage = {
   },
 
   /**
-   * Save a value to IndexedDB (Asynchronous)
+   * Save a setting to IndexedDB (Asynchronous)
    * @param {string} key - Storage key
    * @param {*} value - Value to store (can be any object)
    * @returns {Promise<boolean>} True if successful
@@ -66,7 +212,7 @@ const storage = {
   async set(key, value) {
     try {
       // Use .put() to either insert a new item or replace an existing one
-      await db.content.put({ key: key, value: value });
+      await db.settings.put({ key: key, value: value });
       return true;
     } catch (err) {
       console.error(`Failed to set ${key} in storage:`, err);
@@ -77,13 +223,13 @@ const storage = {
   },
 
   /**
-   * Remove an item from IndexedDB (Asynchronous)
+   * Remove a setting from IndexedDB (Asynchronous)
    * @param {string} key - Storage key
    * @returns {Promise<void>}
    */
   async remove(key) {
     try {
-      await db.content.delete(key);
+      await db.settings.delete(key);
     } catch (err) {
       console.warn(`Failed to remove ${key} from storage:`, err);
     }
@@ -91,1293 +237,5963 @@ const storage = {
 };
 
 // ------------------------------------------------------------------
-// END: ASYNCHRONOUS STORAGE HELPER
+// DAILY STATS (one row per local day in the `dailyStats` store)
 // ------------------------------------------------------------------
 
-// ----------------------------------------------------------------------
-// CELEBRATION MESSAGES
-// ----------------------------------------------------------------------
-const CELEBRATION_MESSAGES = [
-  'Goal achieved! Nice work.',
-  "Way to crush it! You're unstoppable.",
-  'Word count met! Time to take a bow.',
-];
+function createDailyStats(date) {
+  return {
+    date,
+    words: 0, // words added (gross)
+    deleted: 0, // words removed
+    typingMs: 0,
+    sprints: 0,
+    bestSprint: 0,
+    goal: null, // the goal of the first document written in that day
+    goalUnit: null, // ...and what it counts (a GOAL_UNITS key)
+    goalMet: false,
+    dailyGoal: null, // the words-per-day goal, if one was set
+    dailyGoalMet: false,
+    counted: false, // reached the streak minimum
+    frozen: false, // missed, but covered by a streak freeze
+  };
+}
 
-// ----------------------------------------------------------------------
-// APP TAGLINES (rotates on page load)
-// ----------------------------------------------------------------------
-const APP_TAGLINES = [
-  'Just keep writing.',
-  'Words before worries.',
-  'One word at a time.',
-  'Your story starts here.',
-  'Write now, edit later.',
-  'Progress over perfection.',
-];
+/**
+ * The words a day is credited with under the chosen accounting
+ * @param {Object} row - dailyStats row
+ * @param {string} accounting - 'gross' counts everything typed, 'net'
+ *   subtracts what was deleted
+ * @returns {number}
+ */
+function countedWords(row, accounting) {
+  const added = row?.words || 0;
+  if (accounting !== 'net') return added;
+  return Math.max(0, added - (row.deleted || 0));
+}
 
-// ----------------------------------------------------------------------
-// CONFETTI COLOR PALETTES
-// ----------------------------------------------------------------------
-const CONFETTI_PALETTES = {
-  light: {
-    // Jade, mint, soft blue — 80% of confetti
-    cool: [
-      '#2e7d6d', // jade
-      '#3b9a7d', // jade light
-      '#53d3a7', // mint
-      '#6ce1b8', // mint light
-      '#4fc3f7', // soft blue
-      '#29b6f6', // soft blue vivid
-      '#a2d9ca', // accent soft
-    ],
-    // Gold/amber to echo celebration banner — 20% of confetti
-    warm: [
-      '#ffc700', // gold
-      '#ffdb4d', // gold light
-    ],
-  },
-  dark: {
-    // Brighter, more luminous versions for dark backgrounds
-    cool: [
-      '#3b9a7d', // jade (brighter)
-      '#4cb896', // jade vivid
-      '#6ce1b8', // mint (brighter)
-      '#8df0cc', // mint vivid
-      '#4fc3f7', // soft blue
-      '#67d4ff', // soft blue vivid
-      '#7eeaca', // accent luminous
-    ],
-    warm: [
-      '#ffc700', // gold
-      '#ffe14d', // gold bright
-    ],
-  },
-};
+// "+120 added · −30 deleted · net +90"
+function formatTally(added, deleted) {
+  const net = added - deleted;
+  return [
+    `+${added.toLocaleString()} added`,
+    `−${deleted.toLocaleString()} deleted`,
+    `net ${net < 0 ? '−' : '+'}${Math.abs(net).toLocaleString()}`,
+  ].join(' · ');
+}
+
+async function getWordAccounting() {
+  return (await storage.get(STORAGE_KEYS.wordAccounting)) || 'gross';
+}
+
+/**
+ * Get the stats row for a day (today by default)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Object>} The stored row, or an empty one
+ */
+async function getDailyStats(date = getLocalDateStamp()) {
+  try {
+    return (await db.dailyStats.get(date)) || createDailyStats(date);
+  } catch (err) {
+    errorHandler.error(err, 'getDailyStats');
+    return createDailyStats(date);
+  }
+}
+
+/**
+ * Read-modify-write a day's stats row in one transaction
+ * @param {string} date - YYYY-MM-DD
+ * @param {Function} changeFn - Mutates the row in place
+ * @returns {Promise<Object|null>} The saved row
+ */
+async function updateDailyStats(date, changeFn) {
+  try {
+    return await db.transaction('rw', db.dailyStats, async () => {
+      const row = (await db.dailyStats.get(date)) || createDailyStats(date);
+      changeFn(row);
+      await db.dailyStats.put(row);
+      return row;
+    });
+  } catch (err) {
+    errorHandler.error(err, 'updateDailyStats');
+    return null;
+  }
+}
 
 // ------------------------------------------------------------------
-// ERROR HANDLER
+// END: ASYNCHRONOUS STORAGE HELPER
 // ------------------------------------------------------------------
 
-const createErrorHandler = () => {
-  // Error severity levels
-  const LEVEL = {
-    INFO: 'info',
-    WARN: 'warn',
-    ERROR: 'error',
-    CRITICAL: 'critical',
+// ------------------------------------------------------------------
+// PASSPHRASE LOCK (optional encryption at rest)
+// ------------------------------------------------------------------
+// With a passphrase set, the writing itself (document titles and text,
+// history snapshots, the edit journal) is stored AES-GCM encrypted under a
+// key derived from the passphrase with PBKDF2. Settings and stats hold no
+// writing and stay readable, so the streak can keep updating inside
+// IndexedDB transactions (which can't wait on WebCrypto). The key only
+// lives in memory; locking drops it and reloads the page.
+
+const VAULT_KDF_ITERATIONS = 600000;
+const VAULT_CHECK_TEXT = 'MinWrite';
+const VAULT_MIN_PASSPHRASE = 8;
+
+// Fields that are encrypted, per table
+const SEALED_FIELDS = {
+  documents: ['title', 'text'],
+  snapshots: ['text'],
+};
+
+function bytesToBase64(bytes) {
+  const view = new Uint8Array(bytes);
+  let binary = '';
+  // Chunked so long documents don't overflow the argument limit
+  for (let i = 0; i < view.length; i += 0x8000) {
+    binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+const createVault = () => {
+  // Private state
+  let config = null; // { salt, iterations, check } while a passphrase is set
+  let key = null; // CryptoKey, only while unlocked
+  let locked = false;
+  // Re-encryption in progress; seal/open wait so nothing mixes keys
+  let pending = Promise.resolve();
+
+  const deriveKey = async (passphrase, salt, iterations) => {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: base64ToBytes(salt), iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
   };
 
-  /**
-   * Central error handling function
-   * @param {Error|string} err - The error object or message
-   * @param {string} context - Where the error occurred (e.g., 'save', 'export')
-   * @param {Object} options - Additional options
-   * @param {string} options.level - Severity level (info/warn/error/critical)
-   * @param {boolean} options.notify - Show a toast to the user
-   * @param {boolean} options.silent - Suppress console output
-   */
-  const handle = (err, context, options = {}) => {
-    const { level = LEVEL.ERROR, notify = false, silent = false } = options;
+  const isSealed = (value) =>
+    !!value && typeof value === 'object' && value.cipher === 'AES-GCM';
 
-    const message = err instanceof Error ? err.message : String(err);
-    const timestamp = new Date().toISOString();
+  const encryptWith = async (cryptoKey, value) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      cryptoKey,
+      new TextEncoder().encode(JSON.stringify(value))
+    );
+    return {
+      cipher: 'AES-GCM',
+      iv: bytesToBase64(iv),
+      data: bytesToBase64(data),
+    };
+  };
 
-    // Console output (unless silent)
-    if (!silent) {
-      const logPrefix = `[${timestamp}] [${context}]`;
+  const decryptWith = async (cryptoKey, sealed) => {
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(sealed.iv) },
+      cryptoKey,
+      base64ToBytes(sealed.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plain));
+  };
 
-      switch (level) {
-        case LEVEL.INFO:
-          console.info(logPrefix, message);
-          break;
-        case LEVEL.WARN:
-          console.warn(logPrefix, message);
-          break;
-        case LEVEL.CRITICAL:
-          console.error(logPrefix, '🚨 CRITICAL:', message);
-          if (err instanceof Error) console.error(err.stack);
-          break;
-        default:
-          console.error(logPrefix, message);
-      }
+  // Derive the key for a passphrase, or null if it doesn't match `cfg`
+  const tryPassphrase = async (passphrase, cfg) => {
+    const candidate = await deriveKey(passphrase, cfg.salt, cfg.iterations);
+    try {
+      await decryptWith(candidate, cfg.check);
+      return candidate;
+    } catch (err) {
+      return null;
     }
+  };
 
-    // User notification (if requested)
-    if (notify) {
-      showErrorToast(context, level);
+  const createConfig = async (passphrase) => {
+    const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+    const newKey = await deriveKey(passphrase, salt, VAULT_KDF_ITERATIONS);
+    return {
+      key: newKey,
+      config: {
+        salt,
+        iterations: VAULT_KDF_ITERATIONS,
+        check: await encryptWith(newKey, VAULT_CHECK_TEXT),
+      },
+    };
+  };
+
+  // Encrypt a value if a passphrase is set (plain values pass through)
+  const seal = async (value) => {
+    await pending;
+    if (locked) throw new Error('MinWrite is locked');
+    return key ? encryptWith(key, value) : value;
+  };
+
+  // Decrypt a value written by seal() (plain values pass through)
+  const open = async (value) => {
+    await pending;
+    if (!isSealed(value)) return value;
+    if (!key) throw new Error('MinWrite is locked');
+    return decryptWith(key, value);
+  };
+
+  const mapFields = async (table, row, fn) => {
+    const fields = SEALED_FIELDS[table];
+    if (!row || !fields) return row;
+    const copy = { ...row };
+    for (const field of fields) {
+      if (field in copy) copy[field] = await fn(copy[field]);
     }
+    return copy;
+  };
 
-    // Return false to indicate error state (useful for chaining)
-    return false;
+  /**
+   * Convert the journals of unsaved typing (see editJournal), which live in
+   * localStorage, from one key to another. Every document's journal is
+   * included, not just the open one's; one that can't be read is dropped
+   * rather than left behind in the clear.
+   * @returns {Promise<Array<[string, Object|null]>>} Key and new entry
+   */
+  const rewriteJournals = async (fromKey, toKey) => {
+    let names = [];
+    try {
+      names = Object.keys(localStorage).filter((name) =>
+        name.startsWith(JOURNAL_KEY_PREFIX)
+      );
+    } catch (err) {
+      return []; // Storage blocked: there are no journals either
+    }
+
+    return Promise.all(
+      names.map(async (name) => {
+        try {
+          const entry = JSON.parse(localStorage.getItem(name));
+          const plain = isSealed(entry)
+            ? await decryptWith(fromKey, entry)
+            : entry;
+          return [name, toKey ? await encryptWith(toKey, plain) : plain];
+        } catch (err) {
+          return [name, null];
+        }
+      })
+    );
   };
 
-  // Simple toast for errors (reuses existing toast pattern)
-  const showErrorToast = (context, level) => {
-    const toast = document.getElementById('saveToast');
-    if (!toast) return;
+  /**
+   * Rewrite every encrypted field from one key to another. A null key
+   * means plain text. The new config is stored in the same transaction.
+   */
+  const rewriteAll = (fromKey, toKey, nextConfig) => {
+    const run = (async () => {
+      const tables = Object.keys(SEALED_FIELDS).map((name) => db.table(name));
+
+      // WebCrypto can't run inside an IndexedDB transaction, so convert
+      // everything first and write it back in one go
+      const rewritten = new Map();
+      for (const table of tables) {
+        const rows = await table.toArray();
+        rewritten.set(
+          table,
+          await Promise.all(
+            rows.map((row) =>
+              mapFields(table.name, row, async (value) => {
+                const plain = isSealed(value)
+                  ? await decryptWith(fromKey, value)
+                  : value;
+                return toKey ? encryptWith(toKey, plain) : plain;
+              })
+            )
+          )
+        );
+      }
+      const journals = await rewriteJournals(fromKey, toKey);
 
-    const messages = {
-      info: `Note: ${context}`,
-      warn: `Warning: ${context}`,
-      error: `Error: ${context}`,
-      critical: `Failed: ${context}`,
-    };
+      await db.transaction('rw', db.settings, tables, async () => {
+        for (const [table, rows] of rewritten) {
+          await table.bulkPut(rows);
+        }
+        if (nextConfig) {
+          await db.settings.put({ key: STORAGE_KEYS.vault, value: nextConfig });
+        } else {
+          await db.settings.delete(STORAGE_KEYS.vault);
+        }
+      });
 
-    const originalText = toast.textContent;
-    toast.textContent = messages[level] || `Error: ${context}`;
-    toast.classList.add('show');
+      journals.forEach(([name, entry]) => {
+        try {
+          if (entry) localStorage.setItem(name, JSON.stringify(entry));
+          else localStorage.removeItem(name);
+        } catch (err) {
+          localStorage.removeItem(name);
+        }
+      });
 
-    clearTimeout(toast._hideTimer);
-    toast._hideTimer = setTimeout(() => {
-      toast.classList.remove('show');
-      toast.textContent = originalText;
-    }, 2500);
+      config = nextConfig;
+      key = toKey;
+    })();
+    pending = run.catch(() => {});
+    return run;
   };
 
   return {
-    LEVEL,
-    handle,
+    isSupported: () => !!globalThis.crypto?.subtle,
+    isEnabled: () => !!config,
+    isLocked: () => locked,
+    isSealed,
+
+    // Read the passphrase settings; the app starts locked if one is set
+    async load() {
+      config = await storage.get(STORAGE_KEYS.vault);
+      locked = !!config;
+    },
 
-    // Convenience methods
-    info: (err, context, options = {}) =>
-      handle(err, context, { ...options, level: LEVEL.INFO }),
+    /**
+     * Derive the key from a passphrase and keep it in memory
+     * @param {string} passphrase - The passphrase to try
+     * @returns {Promise<boolean>} True if the passphrase was right
+     */
+    async unlock(passphrase) {
+      if (!config) return true;
+      const candidate = await tryPassphrase(passphrase, config);
+      if (!candidate) return false;
+      key = candidate;
+      locked = false;
+      return true;
+    },
 
-    warn: (err, context, options = {}) =>
-      handle(err, context, { ...options, level: LEVEL.WARN }),
+    // Forget the key. Nothing can be read or written until a reload.
+    lock() {
+      key = null;
+      locked = true;
+    },
 
-    error: (err, context, options = {}) =>
-      handle(err, context, { ...options, level: LEVEL.ERROR }),
+    /**
+     * Turn encryption on and encrypt everything already stored
+     * @param {string} passphrase - New passphrase
+     */
+    async enable(passphrase) {
+      if (config) throw new Error('A passphrase is already set');
+      const fresh = await createConfig(passphrase);
+      await rewriteAll(null, fresh.key, fresh.config);
+    },
 
-    critical: (err, context, options = {}) =>
-      handle(err, context, { ...options, level: LEVEL.CRITICAL }),
+    /**
+     * Re-encrypt everything under a new passphrase
+     * @returns {Promise<boolean>} False if the current passphrase was wrong
+     */
+    async change(current, next) {
+      const currentKey = config && (await tryPassphrase(current, config));
+      if (!currentKey) return false;
+      const fresh = await createConfig(next);
+      await rewriteAll(currentKey, fresh.key, fresh.config);
+      return true;
+    },
+
+    /**
+     * Decrypt everything and turn encryption off
+     * @returns {Promise<boolean>} False if the current passphrase was wrong
+     */
+    async disable(current) {
+      const currentKey = config && (await tryPassphrase(current, config));
+      if (!currentKey) return false;
+      await rewriteAll(currentKey, null, null);
+      return true;
+    },
+
+    seal,
+    open,
+
+    sealRow: (table, row) =>
+      mapFields(table, row, (value) => (isSealed(value) ? value : seal(value))),
+
+    openRow: (table, row) => mapFields(table, row, open),
+
+    openRows: (table, rows) =>
+      Promise.all(rows.map((row) => mapFields(table, row, open))),
   };
 };
 
 // Create the singleton instance
-const errorHandler = createErrorHandler();
+const vault = createVault();
 
 // ------------------------------------------------------------------
-// DEBOUNCE UTILITY
+// DOCUMENT LIBRARY
 // ------------------------------------------------------------------
 
-/**
- * Creates a debounced version of a function that delays execution
- * until after the specified wait time has elapsed since the last call.
- * @param {Function} fn - The function to debounce
- * @param {number} ms - The delay in milliseconds
- * @returns {Function} The debounced function
- */
-const debounce = (fn, ms) => {
-  let timeout;
-  return (...args) => {
-    clearTimeout(timeout);
-    timeout = setTimeout(() => fn(...args), ms);
+const createDocumentLibrary = () => {
+  // Private state - the currently open document
+  let active = null;
+
+  const newDocument = (title, text = '', goal = DEFAULT_GOAL) => {
+    const now = Date.now();
+    return { title, text, goal, createdAt: now, updatedAt: now };
+  };
+
+  // Titles and text are encrypted at rest when a passphrase is set
+  const read = async (id) =>
+    vault.openRow('documents', await db.documents.get(id));
+  const write = async (doc) =>
+    db.documents.put(await vault.sealRow('documents', doc));
+
+  return {
+    // Read-only access to the open document
+    getActive: () => (active ? { ...active } : null),
+    getActiveId: () => active?.id ?? null,
+
+    /**
+     * List every document, most recently modified first
+     * @returns {Promise<Array<Object>>}
+     */
+    async list() {
+      try {
+        const rows = await db.documents
+          .orderBy('updatedAt')
+          .reverse()
+          .toArray();
+        return await vault.openRows('documents', rows);
+      } catch (err) {
+        errorHandler.error(err, 'listDocuments');
+        return [];
+      }
+    },
+
+    /**
+     * Open the last active document, creating one if the library is empty
+     * @returns {Promise<Object|null>} The opened document
+     */
+    async restore() {
+      const savedId = await storage.get(STORAGE_KEYS.activeDoc);
+      let doc = savedId != null ? await read(savedId) : null;
+
+      if (!doc) {
+        doc = (await this.list())[0] || null;
+      }
+      if (!doc) {
+        return this.create('Untitled');
+      }
+
+      active = doc;
+      await storage.set(STORAGE_KEYS.activeDoc, doc.id);
+      return { ...active };
+    },
+
+    /**
+     * Create a new document and make it the active one
+     * @param {string} title - Document title
+     * @param {string} text - Initial text
+     * @param {number} goal - Initial word goal
+     * @param {Object} [settings] - { goalUnit, deadline, language }
+     * @returns {Promise<Object|null>} The created document
+     */
+    async create(title, text = '', goal = DEFAULT_GOAL, settings = {}) {
+      try {
+        const doc = { ...newDocument(title, text, goal), ...settings };
+        doc.id = await write(doc);
+        active = doc;
+        await storage.set(STORAGE_KEYS.activeDoc, doc.id);
+        return { ...active };
+      } catch (err) {
+        errorHandler.error(err, 'createDocument', { notify: true });
+        return null;
+      }
+    },
+
+    /**
+     * Make another document the active one
+     * @param {number} id - Document id
+     * @returns {Promise<Object|null>} The opened document
+     */
+    async open(id) {
+      const doc = await read(id);
+      if (!doc) {
+        errorHandler.warn('Document not found', 'openDocument', {
+          notify: true,
+        });
+        return null;
+      }
+      active = doc;
+      await storage.set(STORAGE_KEYS.activeDoc, id);
+      return { ...active };
+    },
+
+    /**
+     * Write the editor contents into the active document.
+     * The modified date only moves when something actually changed.
+     * @param {string} text - Editor text
+     * @param {number} goal - Word goal
+     * @returns {Promise<boolean>} True if successful
+     */
+    async saveActive(text, goal) {
+      if (!active) return false;
+      if (active.text === text && active.goal === goal) return true;
+
+      active.text = text;
+      active.goal = goal;
+      active.updatedAt = Date.now();
+      await write(active);
+      return true;
+    },
+
+    /**
+     * Change goal settings on the open document (its deadline or goal unit)
+     * @param {Object} changes - e.g. { deadline } or { goalUnit, goal }
+     * @returns {Promise<boolean>} True if successful
+     */
+    async updateActive(changes) {
+      if (!active) return false;
+      Object.assign(active, changes);
+      await write(active);
+      return true;
+    },
+
+    async rename(id, title) {
+      await db.documents.update(
+        id,
+        await vault.sealRow('documents', { title, updatedAt: Date.now() })
+      );
+      if (active?.id === id) active.title = title;
+    },
+
+    /**
+     * Copy a document (text, goal and language) into a new, active document
+     * @param {number} id - Document id to copy
+     * @returns {Promise<Object|null>} The copy
+     */
+    async duplicate(id) {
+      const source = await read(id);
+      if (!source) return null;
+      const { goalUnit, deadline, language } = source;
+      return this.create(`${source.title} (copy)`, source.text, source.goal, {
+        ...(goalUnit && { goalUnit }),
+        ...(deadline && { deadline: { ...deadline } }),
+        ...(language && { language }),
+      });
+    },
+
+    /**
+     * Delete a document. If it was active, the next most recent one opens.
+     * @param {number} id - Document id
+     * @returns {Promise<Object|null>} The document that is now active
+     */
+    async remove(id) {
+      const tables = [db.documents, db.snapshots, db.fileLinks];
+      await db.transaction('rw', tables, async () => {
+        await db.documents.delete(id);
+        await db.snapshots.where('docId').equals(id).delete();
+        await db.fileLinks.delete(id);
+      });
+      if (active?.id !== id) return this.getActive();
+      active = null;
+      await storage.remove(STORAGE_KEYS.activeDoc);
+      return this.restore();
+    },
   };
 };
 
+// Create the singleton instance
+const documentLibrary = createDocumentLibrary();
+
 // ------------------------------------------------------------------
-// SPRINT MANAGER
+// TAB COORDINATION
 // ------------------------------------------------------------------
+// Only one tab may edit a document at a time. The editing tab holds a Web
+// Lock named after the document; other tabs showing it become read-only and
+// follow its text live over a BroadcastChannel. When the editing tab closes
+// (or the user clicks "Edit here"), a waiting tab takes over.
 
-const createSprintManager = () => {
-  // Private state - nothing outside can directly modify this
+const TAB_ID_KEY = 'minwrite:tabId'; // in sessionStorage
+
+const createTabCoordinator = () => {
+  const channel =
+    typeof BroadcastChannel === 'function'
+      ? new BroadcastChannel('minwrite')
+      : null;
+  const supportsLocks = typeof navigator.locks?.request === 'function';
+
+  // Private state
   let state = {
-    tock: null,
-    status: 'idle', // 'idle' | 'running' | 'paused' | 'finished'
-    durationMs: 0,
-    startTime: 0,
-    startWords: 0,
-    wordsGained: 0,
+    tabId: null, // survives reloads of this tab (see register)
+    docId: null,
+    editable: true,
+    release: null, // resolves the promise that keeps our lock held
+    waiting: null, // AbortController for a queued lock request
   };
 
-  // Private helper to update the clock display
-  const updateClockDisplay = (ms) => {
-    const mm = String(Math.floor(ms / 60_000)).padStart(2, '0');
-    const ss = String(Math.floor((ms % 60_000) / 1000)).padStart(2, '0');
-
-    // Update unified sprint pill
-    if (els.sprintDisplay) {
-      els.sprintDisplay.textContent = `${mm}:${ss}`;
-    }
+  const lockName = (docId) => `minwrite:doc:${docId}`;
+  const tabLockName = (tabId) => `minwrite:tab:${tabId}`;
 
-    // Update focus mode sprint display
-    if (els.focusSprint) {
-      els.focusSprint.textContent = ms > 0 ? `Sprint: ${mm}:${ss}` : '';
-    }
-    return { mm, ss };
+  const setEditable = (editable) => {
+    const changed = state.editable !== editable;
+    state.editable = editable;
+    if (changed) applyTabAccess(editable);
   };
 
-  // Private helper to update pill classes
-  const updatePillClasses = (add = [], remove = []) => {
-    const pill = els.sprintPill;
-    if (!pill) return;
-    remove.forEach((cls) => pill.classList.remove(cls));
-    add.forEach((cls) => pill.classList.add(cls));
+  const stopWaiting = () => {
+    state.waiting?.abort();
+    state.waiting = null;
   };
 
-  // Private helper to update pill display text
-  const setPillDisplay = (text) => {
-    if (els.sprintDisplay) {
-      els.sprintDisplay.textContent = text;
-    }
+  const releaseHeld = () => {
+    state.release?.();
+    state.release = null;
   };
 
-  // Private helper to update pill aria-label
-  const setPillAriaLabel = (label) => {
-    if (els.sprintPill) {
-      els.sprintPill.setAttribute('aria-label', label);
-    }
+  // Resolves true once the lock is ours, false if it isn't (or was aborted).
+  // The lock stays held until releaseHeld() runs or another tab steals it.
+  const acquire = (docId, options) =>
+    new Promise((resolve) => {
+      let granted = false;
+
+      navigator.locks
+        .request(lockName(docId), options, (lock) => {
+          if (!lock || state.docId !== docId) {
+            resolve(false);
+            return null;
+          }
+          granted = true;
+          resolve(true);
+          return new Promise((release) => {
+            state.release = release;
+          });
+        })
+        .catch(() => {
+          resolve(false);
+          // A lock we held was stolen by a tab that wants to edit
+          if (granted && state.docId === docId) {
+            state.release = null;
+            setEditable(false);
+            waitForTurn(docId);
+          }
+        });
+    });
+
+  // Resolves true if the tab's lock is now ours, held until the page goes
+  const holdTabLock = (tabId) =>
+    new Promise((resolve) => {
+      navigator.locks
+        .request(tabLockName(tabId), { ifAvailable: true }, (lock) => {
+          resolve(!!lock);
+          return lock ? new Promise(() => {}) : null;
+        })
+        .catch(() => resolve(false));
+    });
+
+  // Queue behind the current editor; take over when it goes away
+  const waitForTurn = (docId) => {
+    stopWaiting();
+    const controller = new AbortController();
+    state.waiting = controller;
+    acquire(docId, { signal: controller.signal }).then((granted) => {
+      if (!granted || state.docId !== docId) return;
+      state.waiting = null;
+      setEditable(true);
+    });
   };
 
   return {
-    // Read-only access to current state
-    getState: () => ({ ...state }),
+    isEditable: () => state.editable,
+    getTabId: () => state.tabId,
+
+    /**
+     * Give this tab an id that outlives reloads (kept in sessionStorage) and
+     * hold a lock named after it while the tab is open, so other tabs can
+     * tell whether it still is
+     */
+    async register() {
+      let tabId = null;
+      try {
+        tabId = sessionStorage.getItem(TAB_ID_KEY);
+      } catch (err) {
+        // Storage blocked: a new id on every load
+      }
+      // A duplicated tab copies sessionStorage, so it needs an id of its own
+      if (!tabId || (supportsLocks && !(await holdTabLock(tabId)))) {
+        tabId =
+          crypto.randomUUID?.() ||
+          `${Date.now()}-${Math.random().toString(36)}`;
+        if (supportsLocks) await holdTabLock(tabId);
+      }
+      state.tabId = tabId;
+      try {
+        sessionStorage.setItem(TAB_ID_KEY, tabId);
+      } catch (err) {
+        // As above
+      }
+    },
 
-    // Status checks
-    isIdle: () => state.status === 'idle',
-    isRunning: () => state.status === 'running',
-    isPaused: () => state.status === 'paused',
-    isFinished: () => state.status === 'finished',
-    isActive: () => state.status === 'running' || state.status === 'paused',
+    /**
+     * Is the tab with this id (from register) still open?
+     * @param {string} tabId
+     * @returns {Promise<boolean>} False when the browser can't tell
+     */
+    async isTabOpen(tabId) {
+      if (!supportsLocks || !tabId) return false;
+      try {
+        const { held = [] } = await navigator.locks.query();
+        return held.some((lock) => lock.name === tabLockName(tabId));
+      } catch (err) {
+        return false;
+      }
+    },
 
-    start: (minutes, currentWordCount) => {
-      // Set state
-      state.status = 'running';
-      state.startTime = Date.now();
-      state.startWords = currentWordCount;
-      state.durationMs = Math.max(1, minutes) * 60_000;
-      state.wordsGained = 0;
+    /**
+     * Try to become the editing tab for a document
+     * @param {number} docId - Document id
+     * @returns {Promise<boolean>} True if this tab may edit it
+     */
+    async claim(docId) {
+      releaseHeld();
+      stopWaiting();
+      state.docId = docId;
+
+      if (!supportsLocks || docId == null) {
+        setEditable(true);
+        return true;
+      }
 
-      // Update UI
-      updatePillClasses(['running'], ['idle', 'paused', 'finished']);
-      setPillAriaLabel('Sprint running, click to pause');
+      const granted = await acquire(docId, { ifAvailable: true });
+      if (state.docId !== docId) return false;
 
-      // Kill any prior timer
-      if (state.tock) {
-        state.tock.stop();
-        state.tock = null;
-      }
+      setEditable(granted);
+      if (!granted) waitForTurn(docId);
+      return granted;
+    },
 
-      // Create new timer
-      state.tock = new Tock({
-        countdown: true,
-        interval: 250,
-        callback: () => {
-          const left = state.tock.lap();
-          const { mm, ss } = updateClockDisplay(left);
-
-          // Hide hover when visually at 00:00
-          if (mm === '00' && ss === '00') {
-            els.sprintChip?.removeAttribute('data-hover');
-          }
-        },
-        complete: () => {
-          // Calculate words gained
-          const finalWords = countWords(editor.value);
-          state.wordsGained = Math.max(0, finalWords - state.startWords);
-
-          // Update state
-          state.status = 'finished';
-
-          // Update UI — brief flash then reset to idle
-          updatePillClasses(['finished'], ['running', 'paused']);
-          setPillDisplay('▶ Sprint');
-          setPillAriaLabel('Start a sprint');
-          setTimeout(() => {
-            updatePillClasses([], ['finished']);
-          }, 500);
-
-          // Show completion feedback
-          showSprintComplete();
-
-          // Save result
-          registerSprintResult(state.wordsGained);
-
-          // Cleanup timer
-          state.tock.stop();
-          state.tock = null;
-          state.durationMs = 0;
-        },
-      });
+    // Take the document away from the tab currently editing it
+    async takeOver() {
+      if (!supportsLocks || state.docId == null) return false;
+      stopWaiting();
+      const granted = await acquire(state.docId, { steal: true });
+      if (granted) setEditable(true);
+      return granted;
+    },
 
-      // Start countdown
-      state.tock.start(state.durationMs);
+    post(message) {
+      try {
+        channel?.postMessage(message);
+      } catch (err) {
+        errorHandler.warn(err, 'tabBroadcast', { silent: true });
+      }
     },
 
-    pause: () => {
-      if (state.status !== 'running' || !state.tock) return false;
+    onMessage(handler) {
+      channel?.addEventListener('message', (e) => handler(e.data || {}));
+    },
+  };
+};
 
-      state.tock.pause();
-      state.status = 'paused';
+// Create the singleton instance
+const tabCoordinator = createTabCoordinator();
 
-      const ms = state.tock ? state.tock.lap() : 0;
-      const mm = String(Math.floor(ms / 60_000)).padStart(2, '0');
-      const ss = String(Math.floor((ms % 60_000) / 1000)).padStart(2, '0');
+// ------------------------------------------------------------------
+// WRITE-AHEAD JOURNAL
+// ------------------------------------------------------------------
+// Autosave writes to IndexedDB at most once per AUTOSAVE_INTERVAL_MS, so a
+// killed tab can lose the last burst of typing. On every input we also
+// write a tiny record to localStorage (synchronous, so it survives a crash):
+// one splice that turns the last saved text into the current text, plus a
+// hash of that saved text. On the next load the splice is replayed if the
+// saved text still matches.
+
+const JOURNAL_KEY_PREFIX = 'minwrite:journal:';
+
+// 32-bit FNV-1a, enough to tell whether the saved text moved on
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16) + ':' + text.length;
+}
 
-      // Update main pill
-      updatePillClasses(['paused'], ['running']);
-      setPillDisplay(`⏸ ${mm}:${ss}`);
-      setPillAriaLabel(
-        `Sprint paused at ${mm} minutes ${ss} seconds, click to resume`
-      );
+/**
+ * Describe the change from one string to another as a single splice
+ * @param {string} from - Original text
+ * @param {string} to - Changed text
+ * @returns {{at: number, del: number, ins: string}}
+ */
+function diffSplice(from, to) {
+  const max = Math.min(from.length, to.length);
+  let start = 0;
+  while (start < max && from[start] === to[start]) start++;
+
+  let end = 0;
+  while (
+    end < max - start &&
+    from[from.length - 1 - end] === to[to.length - 1 - end]
+  ) {
+    end++;
+  }
 
-      // Focus mode
-      if (els.focusSprint) {
-        els.focusSprint.textContent = `⏸ ${mm}:${ss}`;
-        els.focusSprint.setAttribute(
-          'aria-label',
-          `Sprint paused at ${mm} minutes ${ss} seconds, click to resume`
-        );
-        els.focusSprint.classList.add('paused');
-      }
+  return {
+    at: start,
+    del: from.length - start - end,
+    ins: to.slice(start, to.length - end),
+  };
+}
 
-      return true;
+function applySplice(text, { at, del, ins }) {
+  return text.slice(0, at) + ins + text.slice(at + del);
+}
+
+const createEditJournal = () => {
+  // Private state - the last saved text of the open document
+  let state = { docId: null, baseText: '', baseHash: '' };
+
+  let writes = 0; // orders async (encrypted) writes; only the newest lands
+
+  const keyFor = (docId) => `${JOURNAL_KEY_PREFIX}${docId}`;
+
+  const put = (key, entry) => {
+    try {
+      if (entry) localStorage.setItem(key, JSON.stringify(entry));
+      else localStorage.removeItem(key);
+    } catch (err) {
+      // Storage full or blocked: autosave still runs, just without a journal
+      errorHandler.info(err, 'journal', { silent: true });
+    }
+  };
+
+  const write = (text) => {
+    const key = keyFor(state.docId);
+    const seq = ++writes;
+    if (text === state.baseText) {
+      put(key, null);
+      return;
+    }
+
+    const entry = {
+      baseHash: state.baseHash,
+      splice: diffSplice(state.baseText, text),
+      at: Date.now(),
+    };
+    if (!vault.isEnabled()) {
+      put(key, entry);
+      return;
+    }
+
+    // Typed text is writing too: encrypt it like the documents
+    vault
+      .seal(entry)
+      .then((sealed) => seq === writes && put(key, sealed))
+      .catch((err) => errorHandler.info(err, 'journal', { silent: true }));
+  };
+
+  return {
+    // Track a freshly loaded document (doesn't touch its stored journal)
+    start(docId, savedText) {
+      state = { docId, baseText: savedText, baseHash: hashText(savedText) };
     },
 
-    resume: () => {
-      if (state.status !== 'paused' || !state.tock) return false;
+    // Cheap per-keystroke record of everything typed since the last save
+    record(text) {
+      if (state.docId == null) return;
+      write(text);
+    },
 
-      state.tock.pause(); // Tock uses pause() to toggle
-      state.status = 'running';
+    // The database now holds `savedText`; keep only what came after it
+    commit(savedText) {
+      if (state.docId == null) return;
+      state.baseText = savedText;
+      state.baseHash = hashText(savedText);
+      write(editor.value);
+    },
 
-      // Update main pill
-      updatePillClasses(['running'], ['paused']);
-      setPillAriaLabel('Sprint running, click to pause');
+    /**
+     * Replay a leftover journal against the saved text of a document
+     * @param {number} docId - Document id
+     * @param {string} savedText - Text loaded from IndexedDB
+     * @returns {Promise<string|null>} The recovered text, or null if nothing
+     *   to recover
+     */
+    async recover(docId, savedText) {
+      let entry = null;
+      try {
+        entry = JSON.parse(localStorage.getItem(keyFor(docId)));
+        localStorage.removeItem(keyFor(docId));
+        entry = await vault.open(entry);
+      } catch (err) {
+        return null;
+      }
 
-      // Focus mode: remove paused state
-      if (els.focusSprint) {
-        els.focusSprint.classList.remove('paused');
-        els.focusSprint.removeAttribute('aria-label');
+      // The saved text changed since the journal was written (e.g. another
+      // tab saved later), so the splice no longer applies
+      if (!entry?.splice || entry.baseHash !== hashText(savedText)) {
+        return null;
       }
 
-      return true;
+      const recovered = applySplice(savedText, entry.splice);
+      return recovered === savedText ? null : recovered;
     },
+  };
+};
 
-    reset: () => {
-      if (state.tock) {
-        state.tock.stop();
-        state.tock.reset();
-        state.tock = null;
-      }
+// Create the singleton instance
+const editJournal = createEditJournal();
 
-      state.status = 'idle';
-      state.durationMs = 0;
-      state.startTime = 0;
-      state.startWords = 0;
-      state.wordsGained = 0;
+// ------------------------------------------------------------------
+// LINKED FILES (File System Access API)
+// ------------------------------------------------------------------
+// A document can be linked to a .md/.txt file on disk. The file handle is
+// kept in the `fileLinks` store (handles survive in IndexedDB, not in
+// JSON), and every save writes the text back to the same file. Before
+// writing we compare the file's modified time with the one we last wrote:
+// if something else changed the file, we stop and ask.
+
+const LINKED_FILE_TYPES = [
+  {
+    description: 'Text or Markdown',
+    accept: { 'text/plain': ['.txt'], 'text/markdown': ['.md'] },
+  },
+];
 
-      // Update main pill
-      updatePillClasses([], ['running', 'paused', 'finished']);
-      setPillDisplay('▶ Sprint');
-      setPillAriaLabel('Start a sprint');
+const createFileLink = () => {
+  // Private state - the link of the open document
+  let link = null; // { docId, handle, name, lastModified }
+  let status = 'none'; // 'none' | 'linked' | 'permission' | 'conflict'
+  let queue = Promise.resolve();
+  // Text last written per link, so unchanged saves don't touch the disk
+  const written = new WeakMap();
+
+  const hasPermission = async (handle, mode) =>
+    (await handle.queryPermission?.({ mode })) === 'granted';
+
+  const remember = async (handle, docId, file) => {
+    const { lastModified } = file;
+    link = { docId, handle, name: handle.name, lastModified };
+    status = 'linked';
+    await db.fileLinks.put(link);
+  };
 
-      // Update focus mode
-      if (els.focusSprint) {
-        els.focusSprint.textContent = '';
-        els.focusSprint.classList.remove('paused');
-        els.focusSprint.removeAttribute('aria-label');
+  return {
+    isSupported: () =>
+      typeof window.showOpenFilePicker === 'function' &&
+      typeof window.showSaveFilePicker === 'function',
+    getName: () => link?.name ?? null,
+    getStatus: () => status,
+
+    /**
+     * Load the link of a document (if any) and see whether the file moved
+     * on while MinWrite was closed
+     * @param {number} docId - Document id
+     * @returns {Promise<string>} The link status
+     */
+    async attach(docId) {
+      link = (await db.fileLinks.get(docId)) || null;
+      status = link ? 'linked' : 'none';
+      if (!link) return status;
+
+      // Permission usually lapses on reload and needs a click to renew
+      if (!(await hasPermission(link.handle, 'readwrite'))) {
+        status = 'permission';
+        return status;
       }
+      const file = await link.handle.getFile();
+      if (file.lastModified !== link.lastModified) status = 'conflict';
+      return status;
     },
-    async end(userCancelled = false) {
-      const wordsGained = Math.max(
-        0,
-        countWords(editor.value) - state.startWords
-      );
 
-      if (!userCancelled && wordsGained > 0) {
-        await registerSprintResult(wordsGained);
+    // Ask again for write access (must run from a click)
+    async reconnect() {
+      if (!link) return false;
+      const granted =
+        (await link.handle.requestPermission({ mode: 'readwrite' })) ===
+        'granted';
+      if (granted) await this.attach(link.docId);
+      return granted;
+    },
+
+    /**
+     * Let the user pick a file to open
+     * @returns {Promise<{handle: Object, file: File}|null>} Null if cancelled
+     */
+    async pick() {
+      try {
+        const [handle] = await window.showOpenFilePicker({
+          types: LINKED_FILE_TYPES,
+        });
+        return { handle, file: await handle.getFile() };
+      } catch (err) {
+        if (err.name === 'AbortError') return null;
+        throw err;
       }
+    },
 
-      this.reset();
-      await updateSessionStats();
+    /**
+     * Link a document to a file the user picked to open
+     * @param {number} docId - Document id
+     * @param {Object} handle - FileSystemFileHandle
+     */
+    async link(docId, handle) {
+      await remember(handle, docId, await handle.getFile());
+    },
+
+    /**
+     * Let the user choose where to save, then link and write the document
+     * @returns {Promise<boolean>} False if cancelled
+     */
+    async saveAs(docId, suggestedName, text) {
+      let handle;
+      try {
+        handle = await window.showSaveFilePicker({
+          suggestedName,
+          types: LINKED_FILE_TYPES,
+        });
+      } catch (err) {
+        if (err.name === 'AbortError') return false;
+        throw err;
+      }
+      await remember(handle, docId, await handle.getFile());
+      await this.write(text, true);
+      return true;
+    },
+
+    /**
+     * Write the text back to the linked file. Skipped when the text hasn't
+     * changed, when permission lapsed, or when the file changed on disk
+     * (unless `force`, used to overwrite after a conflict).
+     * @returns {Promise<string>} The link status
+     */
+    write(text, force = false) {
+      // Captured now: the open document may change before the write runs
+      const target = link;
+      if (!target) return Promise.resolve(status);
+      const setStatus = (next) => {
+        if (target === link) status = next;
+      };
+
+      // One write at a time, in order
+      const run = queue.then(async () => {
+        if (!force) {
+          if (target === link && status !== 'linked') return;
+          if (written.get(target) === text) return;
+        }
+
+        const { handle } = target;
+        if (!(await hasPermission(handle, 'readwrite'))) {
+          setStatus('permission');
+          return;
+        }
+        const before = await handle.getFile();
+        if (!force && before.lastModified !== target.lastModified) {
+          setStatus('conflict');
+          return;
+        }
+
+        const writable = await handle.createWritable();
+        await writable.write(text);
+        await writable.close();
+
+        written.set(target, text);
+        target.lastModified = (await handle.getFile()).lastModified;
+        setStatus('linked');
+        await db.fileLinks.put(target);
+      });
+      queue = run.catch(() => {});
+      return run.then(() => status);
+    },
+
+    /**
+     * Read the linked file and accept its contents as the new baseline
+     * @returns {Promise<string>} The file's text
+     */
+    async read() {
+      const file = await link.handle.getFile();
+      const text = await file.text();
+      link.lastModified = file.lastModified;
+      written.set(link, text);
+      status = 'linked';
+      await db.fileLinks.put(link);
+      return text;
+    },
+
+    async unlink() {
+      if (link) await db.fileLinks.delete(link.docId);
+      link = null;
+      status = 'none';
     },
   };
 };
 
 // Create the singleton instance
-const sprintManager = createSprintManager();
-
-// ---------- Configuration Constants ----------
-// Time is in milliseconds (ms)
-const AUTOSAVE_INTERVAL_MS = 1000;
-const TOAST_INTERVAL_MS = 600000; // 10 minutes
-const TYPING_BURST_THRESHOLD_MS = 3000; // Time of inactivity before a typing burst is considered complete
-const STATS_UPDATE_INTERVAL_MS = 5000;
+const fileLink = createFileLink();
+
+// ----------------------------------------------------------------------
+// CELEBRATION MESSAGES
+// ----------------------------------------------------------------------
+const CELEBRATION_MESSAGES = [
+  'Goal achieved! Nice work.',
+  "Way to crush it! You're unstoppable.",
+  'Word count met! Time to take a bow.',
+];
+
+const DAILY_CELEBRATION_MESSAGES = [
+  "Daily goal reached! That's today's writing done.",
+  'Today’s words are in. Nice work.',
+  'Daily goal met! Anything more is a bonus.',
+];
+
+// ----------------------------------------------------------------------
+// APP TAGLINES (rotates on page load)
+// ----------------------------------------------------------------------
+const APP_TAGLINES = [
+  'Just keep writing.',
+  'Words before worries.',
+  'One word at a time.',
+  'Your story starts here.',
+  'Write now, edit later.',
+  'Progress over perfection.',
+];
+
+// ----------------------------------------------------------------------
+// CONFETTI COLOR PALETTES
+// ----------------------------------------------------------------------
+const CONFETTI_PALETTES = {
+  light: {
+    // Jade, mint, soft blue — 80% of confetti
+    cool: [
+      '#2e7d6d', // jade
+      '#3b9a7d', // jade light
+      '#53d3a7', // mint
+      '#6ce1b8', // mint light
+      '#4fc3f7', // soft blue
+      '#29b6f6', // soft blue vivid
+      '#a2d9ca', // accent soft
+    ],
+    // Gold/amber to echo celebration banner — 20% of confetti
+    warm: [
+      '#ffc700', // gold
+      '#ffdb4d', // gold light
+    ],
+  },
+  dark: {
+    // Brighter, more luminous versions for dark backgrounds
+    cool: [
+      '#3b9a7d', // jade (brighter)
+      '#4cb896', // jade vivid
+      '#6ce1b8', // mint (brighter)
+      '#8df0cc', // mint vivid
+      '#4fc3f7', // soft blue
+      '#67d4ff', // soft blue vivid
+      '#7eeaca', // accent luminous
+    ],
+    warm: [
+      '#ffc700', // gold
+      '#ffe14d', // gold bright
+    ],
+  },
+};
+
+// ------------------------------------------------------------------
+// ERROR HANDLER
+// ------------------------------------------------------------------
+
+const createErrorHandler = () => {
+  // Error severity levels
+  const LEVEL = {
+    INFO: 'info',
+    WARN: 'warn',
+    ERROR: 'error',
+    CRITICAL: 'critical',
+  };
+
+  /**
+   * Central error handling function
+   * @param {Error|string} err - The error object or message
+   * @param {string} context - Where the error occurred (e.g., 'save', 'export')
+   * @param {Object} options - Additional options
+   * @param {string} options.level - Severity level (info/warn/error/critical)
+   * @param {boolean} options.notify - Show a toast to the user
+   * @param {boolean} options.silent - Suppress console output
+   */
+  const handle = (err, context, options = {}) => {
+    const { level = LEVEL.ERROR, notify = false, silent = false } = options;
+
+    const message = err instanceof Error ? err.message : String(err);
+    const timestamp = new Date().toISOString();
+
+    // Console output (unless silent)
+    if (!silent) {
+      const logPrefix = `[${timestamp}] [${context}]`;
+
+      switch (level) {
+        case LEVEL.INFO:
+          console.info(logPrefix, message);
+          break;
+        case LEVEL.WARN:
+          console.warn(logPrefix, message);
+          break;
+        case LEVEL.CRITICAL:
+          console.error(logPrefix, '🚨 CRITICAL:', message);
+          if (err instanceof Error) console.error(err.stack);
+          break;
+        default:
+          console.error(logPrefix, message);
+      }
+    }
+
+    // User notification (if requested)
+    if (notify) {
+      showErrorToast(context, level);
+    }
+
+    // Return false to indicate error state (useful for chaining)
+    return false;
+  };
+
+  // Simple toast for errors (reuses existing toast pattern)
+  const showErrorToast = (context, level) => {
+    const toast = document.getElementById('saveToast');
+    if (!toast) return;
+
+    const messages = {
+      info: `Note: ${context}`,
+      warn: `Warning: ${context}`,
+      error: `Error: ${context}`,
+      critical: `Failed: ${context}`,
+    };
+
+    const originalText = toast.textContent;
+    toast.textContent = messages[level] || `Error: ${context}`;
+    toast.classList.add('show');
+
+    clearTimeout(toast._hideTimer);
+    toast._hideTimer = setTimeout(() => {
+      toast.classList.remove('show');
+      toast.textContent = originalText;
+    }, 2500);
+  };
+
+  return {
+    LEVEL,
+    handle,
+
+    // Convenience methods
+    info: (err, context, options = {}) =>
+      handle(err, context, { ...options, level: LEVEL.INFO }),
+
+    warn: (err, context, options = {}) =>
+      handle(err, context, { ...options, level: LEVEL.WARN }),
+
+    error: (err, context, options = {}) =>
+      handle(err, context, { ...options, level: LEVEL.ERROR }),
+
+    critical: (err, context, options = {}) =>
+      handle(err, context, { ...options, level: LEVEL.CRITICAL }),
+  };
+};
+
+// Create the singleton instance
+const errorHandler = createErrorHandler();
+
+// ------------------------------------------------------------------
+// DEBOUNCE UTILITY
+// ------------------------------------------------------------------
+
+/**
+ * Creates a debounced version of a function that delays execution
+ * until after the specified wait time has elapsed since the last call.
+ * @param {Function} fn - The function to debounce
+ * @param {number} ms - The delay in milliseconds
+ * @returns {Function} The debounced function
+ */
+const debounce = (fn, ms) => {
+  let timeout;
+  return (...args) => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => fn(...args), ms);
+  };
+};
+
+// ------------------------------------------------------------------
+// SPRINT MANAGER
+// ------------------------------------------------------------------
+
+const createSprintManager = () => {
+  // Private state - nothing outside can directly modify this
+  let state = {
+    tock: null,
+    status: 'idle', // 'idle' | 'running' | 'paused' | 'finished'
+    durationMs: 0,
+    startTime: 0,
+    startWords: 0,
+    wordsGained: 0,
+    pausedAt: 0,
+    pausedMs: 0,
+    startTally: { added: 0, deleted: 0 },
+    label: '', // shown before the clock, e.g. a Pomodoro round
+    onComplete: null, // called when the countdown runs out
+    target: 0, // words to write in the sprint, 0 for none
+    targetHitAt: 0,
+    countUp: false, // a stopwatch: no length, runs until stopped
+  };
+
+  // Private helper to store the sprint in the `sprints` history. Clears
+  // startTime, so each sprint is logged exactly once.
+  const logSprint = (outcome, endedAt = Date.now()) => {
+    if (!state.startTime) return;
+    const pausedMs =
+      state.pausedMs + (state.pausedAt ? endedAt - state.pausedAt : 0);
+    const endWords = countWords(editor.value);
+
+    recordSprint({
+      date: toWritingDay(state.startTime),
+      docId: documentLibrary.getActiveId(),
+      startedAt: state.startTime,
+      endedAt,
+      plannedMs: state.countUp ? null : state.durationMs,
+      actualMs: Math.max(0, endedAt - state.startTime - pausedMs),
+      pausedMs,
+      startWords: state.startWords,
+      endWords,
+      words: Math.max(0, endWords - state.startWords),
+      added: appState.tally.added - state.startTally.added,
+      deleted: appState.tally.deleted - state.startTally.deleted,
+      target: state.target || null,
+      targetHit: !!state.targetHitAt,
+      mode: state.countUp ? 'stopwatch' : 'countdown',
+      outcome, // 'completed' | 'cancelled'
+    });
+    state.startTime = 0;
+  };
+
+  // Private helper: time spent writing by the wall clock rather than by
+  // the timer, which falls behind while the device sleeps
+  const elapsedMs = (now = Date.now()) => {
+    const pausedMs =
+      state.pausedMs + (state.pausedAt ? now - state.pausedAt : 0);
+    return now - state.startTime - pausedMs;
+  };
+
+  const remainingMs = (now = Date.now()) =>
+    Math.max(0, state.durationMs - elapsedMs(now));
+
+  // Private helper: what the clock shows, counting down or up
+  const clockMs = () => (state.countUp ? elapsedMs() : remainingMs());
+
+  // Private helper: when the countdown runs out, barring further pauses
+  const endsAt = () => state.startTime + state.durationMs + state.pausedMs;
+
+  // Private helper: keep the sprint in storage so a reload can pick it up
+  const persist = () => {
+    storage.set(STORAGE_KEYS.activeSprint, {
+      status: state.status,
+      startTime: state.startTime,
+      durationMs: state.durationMs,
+      startWords: state.startWords,
+      pausedAt: state.pausedAt,
+      pausedMs: state.pausedMs,
+      startTally: state.startTally,
+      label: state.label,
+      target: state.target,
+      targetHitAt: state.targetHitAt,
+      countUp: state.countUp,
+      owner: tabCoordinator.getTabId(),
+    });
+  };
+
+  const forget = () => storage.remove(STORAGE_KEYS.activeSprint);
+
+  // Private helper: words so far against the target, and where the
+  // current pace ends up. Judged only after SPRINT_PACE_MIN_MS of writing.
+  const getTargetPace = (left) => {
+    const words = Math.max(0, countWords(editor.value) - state.startWords);
+    const elapsed = state.durationMs - left;
+    const projected =
+      elapsed >= SPRINT_PACE_MIN_MS
+        ? Math.round((words / elapsed) * state.durationMs)
+        : null;
+    let pace = null;
+    if (words >= state.target) pace = 'hit';
+    else if (projected != null) {
+      pace = projected >= state.target ? 'on-pace' : 'behind';
+    }
+    return { words, projected, pace };
+  };
+
+  // Private helper: the target was reached with time to spare
+  const checkTarget = (words, left) => {
+    if (state.targetHitAt || words < state.target || left <= 0) return;
+    state.targetHitAt = Date.now();
+    persist();
+    showSprintTargetHit(state.target, left);
+  };
+
+  // Private helper to update the clock display
+  const updateClockDisplay = (ms) => {
+    const mm = String(Math.floor(ms / 60_000)).padStart(2, '0');
+    const ss = String(Math.floor((ms % 60_000) / 1000)).padStart(2, '0');
+
+    let progress = '';
+    let detail = '';
+    let pace = null;
+    if (state.target) {
+      const target = getTargetPace(ms);
+      pace = target.pace;
+      progress = ` · ${target.words}/${state.target}`;
+      detail =
+        target.projected == null || pace === 'hit'
+          ? progress
+          : `${progress} · ≈${target.projected} by the end`;
+      checkTarget(target.words, ms);
+    }
+
+    // Update unified sprint pill
+    if (els.sprintDisplay) {
+      els.sprintDisplay.textContent = `${state.label}${mm}:${ss}${progress}`;
+    }
+    if (els.sprintPill) {
+      if (pace) els.sprintPill.dataset.pace = pace;
+      else delete els.sprintPill.dataset.pace;
+      if (state.target) els.sprintPill.title = `Sprint${detail}`;
+    }
+
+    // Update focus mode sprint display
+    if (els.focusSprint) {
+      const label = state.label || 'Sprint: ';
+      els.focusSprint.textContent =
+        ms > 0 || state.countUp ? `${label}${mm}:${ss}${detail}` : '';
+      if (pace) els.focusSprint.dataset.pace = pace;
+      else delete els.focusSprint.dataset.pace;
+    }
+    return { mm, ss };
+  };
+
+  // Private helper: drop the target's pace colours and tooltip
+  const clearPace = () => {
+    delete els.sprintPill?.dataset.pace;
+    delete els.focusSprint?.dataset.pace;
+    els.sprintPill?.removeAttribute('title');
+  };
+
+  // Private helper to update pill classes
+  const updatePillClasses = (add = [], remove = []) => {
+    const pill = els.sprintPill;
+    if (!pill) return;
+    remove.forEach((cls) => pill.classList.remove(cls));
+    add.forEach((cls) => pill.classList.add(cls));
+  };
+
+  // Private helper to update pill display text
+  const setPillDisplay = (text) => {
+    if (els.sprintDisplay) {
+      els.sprintDisplay.textContent = text;
+    }
+  };
+
+  // Private helper to update pill aria-label
+  const setPillAriaLabel = (label) => {
+    if (els.sprintPill) {
+      els.sprintPill.setAttribute('aria-label', label);
+    }
+  };
+
+  // Private helper: the paused clock on the pill and in focus mode
+  const showPaused = () => {
+    const ms = clockMs();
+    const mm = String(Math.floor(ms / 60_000)).padStart(2, '0');
+    const ss = String(Math.floor((ms % 60_000) / 1000)).padStart(2, '0');
+    const what = state.countUp ? 'Stopwatch' : 'Sprint';
+
+    // Update main pill
+    updatePillClasses(['paused'], ['running']);
+    setPillDisplay(`⏸ ${mm}:${ss}`);
+    setPillAriaLabel(
+      `${what} paused at ${mm} minutes ${ss} seconds, click to resume`
+    );
+
+    // Focus mode
+    if (els.focusSprint) {
+      els.focusSprint.textContent = `⏸ ${mm}:${ss}`;
+      els.focusSprint.setAttribute(
+        'aria-label',
+        `${what} paused at ${mm} minutes ${ss} seconds, click to resume`
+      );
+      els.focusSprint.classList.add('paused');
+    }
+  };
+
+  // Private helper: the countdown ran out, or the stopwatch was stopped.
+  // `away` means it ran out while the page was closed, so the result is
+  // told in a toast.
+  const finish = (endedAt, away = false) => {
+    if (state.status !== 'running' && state.status !== 'paused') return;
+
+    // Calculate words gained
+    const finalWords = countWords(editor.value);
+    state.wordsGained = Math.max(0, finalWords - state.startWords);
+    const activeMs = elapsedMs(endedAt);
+    // Nothing was typed while away, so a target met now was met in time
+    if (away && state.target && state.wordsGained >= state.target) {
+      state.targetHitAt = state.targetHitAt || endedAt;
+    }
+
+    // Update state
+    state.status = 'finished';
+
+    // Update UI — brief flash then reset to idle
+    updatePillClasses(['finished'], ['running', 'paused']);
+    setPillDisplay('▶ Sprint');
+    setPillAriaLabel('Start a sprint');
+    setTimeout(() => {
+      updatePillClasses([], ['finished']);
+    }, 500);
+    if (els.focusSprint) {
+      els.focusSprint.textContent = '';
+      els.focusSprint.classList.remove('paused');
+      els.focusSprint.removeAttribute('aria-label');
+    }
+
+    // Show completion feedback (a Pomodoro has its own)
+    const onComplete = state.onComplete;
+    if (state.countUp) {
+      showStopwatchSummary(state.wordsGained, activeMs);
+    } else if (away) {
+      const minutes = Math.round(state.durationMs / 60_000);
+      showToast(
+        `Your ${minutes}-minute sprint ended while you were away: ${state.wordsGained} words`,
+        6000
+      );
+    } else if (!onComplete) {
+      showSprintComplete();
+    }
+
+    // Save result
+    registerSprintResult(state.wordsGained, toWritingDay(state.startTime));
+    logSprint('completed', endedAt);
+    forget();
+
+    // Cleanup timer
+    state.tock?.stop();
+    state.tock = null;
+    state.durationMs = 0;
+    state.label = '';
+    state.onComplete = null;
+    state.target = 0;
+    state.countUp = false;
+    clearPace();
+
+    onComplete?.(endedAt);
+  };
+
+  // Private helper: tick the countdown for the time left. A late tick
+  // (after the device slept) ends the sprint when it was due to end.
+  const runClock = (ms) => {
+    state.tock?.stop();
+    state.tock = new Tock({
+      countdown: !state.countUp,
+      interval: 250,
+      callback: () => {
+        if (state.countUp) {
+          updateClockDisplay(elapsedMs());
+          return;
+        }
+        const left = remainingMs();
+        if (left <= 0) {
+          finish(Math.min(Date.now(), endsAt()));
+          return;
+        }
+        const { mm, ss } = updateClockDisplay(left);
+
+        // Hide hover when visually at 00:00
+        if (mm === '00' && ss === '00') {
+          els.sprintChip?.removeAttribute('data-hover');
+        }
+      },
+      complete: () => finish(Math.min(Date.now(), endsAt())),
+    });
+    state.tock.start(ms);
+  };
+
+  return {
+    // Read-only access to current state
+    getState: () => ({ ...state }),
+
+    // Status checks
+    isIdle: () => state.status === 'idle',
+    isRunning: () => state.status === 'running',
+    isPaused: () => state.status === 'paused',
+    isFinished: () => state.status === 'finished',
+    isActive: () => state.status === 'running' || state.status === 'paused',
+    isCountUp: () => state.countUp,
+
+    /**
+     * Start a countdown sprint, or a stopwatch
+     * @param {number} minutes - Length of the sprint (ignored by a stopwatch)
+     * @param {number} currentWordCount - Words in the editor now
+     * @param {Object} [options] - { target } words to aim for,
+     *   { countUp } for a stopwatch that runs until stop(), and
+     *   { label, onComplete } for sprints run by the Pomodoro
+     */
+    start: (minutes, currentWordCount, options = {}) => {
+      // Set state
+      state.status = 'running';
+      state.startTime = Date.now();
+      state.startWords = currentWordCount;
+      state.countUp = !!options.countUp;
+      state.durationMs = state.countUp ? 0 : Math.max(1, minutes) * 60_000;
+      state.wordsGained = 0;
+      state.pausedAt = 0;
+      state.pausedMs = 0;
+      state.startTally = { ...appState.tally };
+      state.label = options.label || (state.countUp ? '⏱ ' : '');
+      state.onComplete = options.onComplete || null;
+      state.target = state.countUp ? 0 : options.target || 0;
+      state.targetHitAt = 0;
+
+      // Update UI
+      updatePillClasses(['running'], ['idle', 'paused', 'finished']);
+      setPillAriaLabel('Sprint running, click to pause');
+
+      // Start the clock (replacing any prior timer)
+      runClock(state.durationMs);
+      updateClockDisplay(state.durationMs);
+      persist();
+    },
+
+    /**
+     * Stop the stopwatch and record it like a finished sprint
+     * @returns {boolean} False if no stopwatch was going
+     */
+    stop: () => {
+      if (!state.countUp) return false;
+      finish(Date.now());
+      return true;
+    },
+
+    /**
+     * Pick up a sprint saved before the page was closed or reloaded. The
+     * time left comes from the wall clock, so a sprint that ran out in the
+     * meantime is finished and logged as completed.
+     * @param {Object} saved - The sprint as persisted
+     * @param {Object} [options] - { onComplete } for a Pomodoro round
+     * @returns {boolean} True if the sprint is still going
+     */
+    restore: (saved, options = {}) => {
+      if (!saved?.startTime || ['running', 'paused'].includes(state.status)) {
+        return false;
+      }
+
+      Object.assign(state, {
+        status: saved.status === 'paused' ? 'paused' : 'running',
+        startTime: saved.startTime,
+        durationMs: saved.durationMs,
+        startWords: saved.startWords,
+        wordsGained: 0,
+        pausedAt: saved.pausedAt || 0,
+        pausedMs: saved.pausedMs || 0,
+        // The tally restarts with the page, so only what is typed from
+        // here on shows up as added and deleted
+        startTally: { ...appState.tally },
+        label: saved.label || '',
+        onComplete: options.onComplete || null,
+        target: saved.target || 0,
+        targetHitAt: saved.targetHitAt || 0,
+        countUp: !!saved.countUp,
+      });
+
+      // A stopwatch never runs out
+      if (!state.countUp && remainingMs() <= 0) {
+        finish(endsAt(), true);
+        return false;
+      }
+
+      runClock(clockMs());
+      if (state.status === 'paused') {
+        state.tock.pause();
+        showPaused();
+      } else {
+        updatePillClasses(['running'], ['idle', 'paused', 'finished']);
+        setPillAriaLabel('Sprint running, click to pause');
+        updateClockDisplay(clockMs());
+      }
+      persist(); // the sprint is this tab's now
+      return true;
+    },
+
+    pause: () => {
+      if (state.status !== 'running' || !state.tock) return false;
+
+      state.tock.pause();
+      state.status = 'paused';
+      state.pausedAt = Date.now();
+      persist();
+      showPaused();
+
+      return true;
+    },
+
+    resume: () => {
+      if (state.status !== 'paused' || !state.tock) return false;
+
+      state.tock.pause(); // Tock uses pause() to toggle
+      state.status = 'running';
+      state.pausedMs += Date.now() - state.pausedAt;
+      state.pausedAt = 0;
+      persist();
+
+      // Update main pill
+      updatePillClasses(['running'], ['paused']);
+      setPillAriaLabel('Sprint running, click to pause');
+
+      // Focus mode: remove paused state
+      if (els.focusSprint) {
+        els.focusSprint.classList.remove('paused');
+        els.focusSprint.removeAttribute('aria-label');
+      }
+
+      return true;
+    },
+
+    reset: () => {
+      // Resetting a sprint that is still going cancels it
+      if (state.status === 'running' || state.status === 'paused') {
+        logSprint('cancelled');
+        forget();
+      }
+
+      if (state.tock) {
+        state.tock.stop();
+        state.tock.reset();
+        state.tock = null;
+      }
+
+      state.status = 'idle';
+      state.durationMs = 0;
+      state.startTime = 0;
+      state.startWords = 0;
+      state.wordsGained = 0;
+      state.pausedAt = 0;
+      state.pausedMs = 0;
+      state.label = '';
+      state.onComplete = null;
+      state.target = 0;
+      state.targetHitAt = 0;
+      state.countUp = false;
+      clearPace();
+
+      // Update main pill
+      updatePillClasses([], ['running', 'paused', 'finished']);
+      setPillDisplay('▶ Sprint');
+      setPillAriaLabel('Start a sprint');
+
+      // Update focus mode
+      if (els.focusSprint) {
+        els.focusSprint.textContent = '';
+        els.focusSprint.classList.remove('paused');
+        els.focusSprint.removeAttribute('aria-label');
+      }
+    },
+    async end(userCancelled = false) {
+      const wordsGained = Math.max(
+        0,
+        countWords(editor.value) - state.startWords
+      );
+
+      if (!userCancelled && wordsGained > 0) {
+        await registerSprintResult(wordsGained);
+      }
+
+      logSprint(userCancelled ? 'cancelled' : 'completed');
+      this.reset();
+      await updateSessionStats();
+    },
+  };
+};
+
+// Create the singleton instance
+const sprintManager = createSprintManager();
+
+// ------------------------------------------------------------------
+// POMODORO (writing rounds and breaks, chained)
+// ------------------------------------------------------------------
+// Each writing round is an ordinary sprint, so it lands in the sprint
+// history. Between rounds the Pomodoro runs its own break countdown; the
+// last round is followed by the long break, which ends the cycle.
+
+const POMODORO_DEFAULTS = {
+  workMins: 25,
+  breakMins: 5,
+  longBreakMins: 15,
+  rounds: 4,
+  lockBreaks: false, // make the editor read-only during breaks
+};
+
+const createPomodoro = () => {
+  // Private state
+  const state = {
+    active: false,
+    settings: { ...POMODORO_DEFAULTS }, // saved preferences
+    cycle: { ...POMODORO_DEFAULTS }, // what the cycle in progress uses
+    round: 0, // the writing round in progress, or the one before a break
+    onBreak: false,
+    longBreak: false,
+    breakEndsAt: 0,
+    tock: null,
+  };
+  let audio = null;
+
+  // Private helper: keep the cycle in storage so a reload can pick it up.
+  // `roundEndedAt` is when the break started, if it has.
+  const persist = (roundEndedAt = 0) => {
+    storage.set(STORAGE_KEYS.activePomodoro, {
+      cycle: state.cycle,
+      round: state.round,
+      onBreak: state.onBreak,
+      roundEndedAt,
+      owner: tabCoordinator.getTabId(),
+    });
+  };
+
+  const forget = () => storage.remove(STORAGE_KEYS.activePomodoro);
+
+  // Private helper: a soft chime of sine notes, unlike the sprint bell
+  const playChime = (notes) => {
+    try {
+      const AudioCtx = window.AudioContext || window.webkitAudioContext;
+      if (!AudioCtx) return;
+      audio = audio || new AudioCtx();
+      notes.forEach((freq, i) => {
+        const at = audio.currentTime + i * 0.25;
+        const osc = audio.createOscillator();
+        const gain = audio.createGain();
+        osc.frequency.value = freq;
+        gain.gain.setValueAtTime(0.0001, at);
+        gain.gain.exponentialRampToValueAtTime(0.2, at + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, at + 0.8);
+        osc.connect(gain).connect(audio.destination);
+        osc.start(at);
+        osc.stop(at + 0.8);
+      });
+    } catch (err) {
+      errorHandler.info(err, 'breakChime', { silent: true });
+    }
+  };
+
+  // Private helper: rounds done and to go, for focus mode
+  const renderCycle = () => {
+    if (!els.focusCycle) return;
+    const { rounds } = state.cycle;
+    const done = state.onBreak ? state.round : state.round - 1;
+    els.focusCycle.hidden = !state.active;
+    els.focusCycle.textContent = `🍅 ${'●'.repeat(done)}${'○'.repeat(
+      Math.max(0, rounds - done)
+    )}`;
+    els.focusCycle.title = `Round ${state.round} of ${rounds}`;
+  };
+
+  // Private helper: pill, banner and focus footer during a break
+  const renderBreak = (ms) => {
+    const mm = String(Math.floor(ms / 60_000)).padStart(2, '0');
+    const ss = String(Math.floor((ms % 60_000) / 1000)).padStart(2, '0');
+    if (els.sprintDisplay) els.sprintDisplay.textContent = `☕ ${mm}:${ss}`;
+    if (els.focusSprint) els.focusSprint.textContent = `☕ ${mm}:${ss}`;
+    if (els.breakClock) els.breakClock.textContent = `${mm}:${ss}`;
+  };
+
+  // Private helper: the editor is read-only during a locked break
+  const setLocked = (locked) => {
+    document.body.classList.toggle('on-break', locked);
+    editor.readOnly = locked || !tabCoordinator.isEditable();
+  };
+
+  const startRound = () => {
+    state.round += 1;
+    state.onBreak = false;
+    sprintManager.start(state.cycle.workMins, countWords(editor.value), {
+      label: `🍅 ${state.round}/${state.cycle.rounds} · `,
+      onComplete: startBreak,
+    });
+    persist();
+    renderCycle();
+  };
+
+  // The break runs from the end of the round, which may have been while
+  // the page was closed
+  const startBreak = (roundEndedAt = Date.now()) => {
+    state.onBreak = true;
+    state.longBreak = state.round >= state.cycle.rounds;
+    const minutes = state.longBreak
+      ? state.cycle.longBreakMins
+      : state.cycle.breakMins;
+    state.breakEndsAt = roundEndedAt + minutes * 60_000;
+
+    const left = state.breakEndsAt - Date.now();
+    if (left <= 0) {
+      state.onBreak = false;
+      endCycle(
+        state.longBreak
+          ? `Pomodoro cycle done: ${state.round} rounds 🍅`
+          : 'Your Pomodoro break ended while you were away, so the cycle stopped',
+        6000
+      );
+      return;
+    }
+    persist(roundEndedAt);
+
+    els.sprintPill?.classList.add('break');
+    els.sprintPill?.setAttribute('aria-label', 'Break, click for options');
+    if (els.breakBanner) {
+      els.breakText.textContent = state.longBreak
+        ? '🌿 Long break — the cycle is done after this'
+        : '☕ Break — step away for a moment';
+      els.breakBanner.hidden = false;
+    }
+    setLocked(state.cycle.lockBreaks);
+    // Only a round that ended just now chimes, not one picked up later
+    if (Date.now() - roundEndedAt < 1000) playChime([784, 587]);
+    renderCycle();
+
+    // Like sprints, the break keeps to the wall clock through device sleep
+    state.tock = new Tock({
+      countdown: true,
+      interval: 250,
+      callback: () => {
+        const ms = state.breakEndsAt - Date.now();
+        if (ms > 0) renderBreak(ms);
+        else endBreak();
+      },
+      complete: () => endBreak(),
+    });
+    renderBreak(left);
+    state.tock.start(left);
+  };
+
+  // Private helper: back to the idle look of a break
+  const clearBreak = () => {
+    if (state.tock) {
+      state.tock.stop();
+      state.tock = null;
+    }
+    state.onBreak = false;
+    els.sprintPill?.classList.remove('break');
+    if (els.breakBanner) els.breakBanner.hidden = true;
+    if (els.focusSprint) els.focusSprint.textContent = '';
+    setLocked(false);
+  };
+
+  // Private helper: the cycle is over, with a toast saying why
+  const endCycle = (message, ms) => {
+    state.active = false;
+    forget();
+    sprintManager.reset(); // back to "▶ Sprint"
+    renderCycle();
+    showToast(message, ms);
+  };
+
+  const endBreak = () => {
+    if (!state.onBreak) return;
+    const wasLong = state.longBreak;
+    clearBreak();
+    playChime([587, 784]);
+    if (wasLong) {
+      endCycle(`Pomodoro cycle done: ${state.round} rounds 🍅`);
+    } else {
+      startRound();
+    }
+  };
+
+  return {
+    isActive: () => state.active,
+    isOnBreak: () => state.onBreak,
+    isLocking: () => state.onBreak && state.cycle.lockBreaks,
+    getSettings: () => ({ ...state.settings }),
+    // New settings apply from the next cycle
+    setSettings: (settings) => {
+      state.settings = { ...POMODORO_DEFAULTS, ...settings };
+    },
+
+    // Start a cycle with the first writing round
+    start() {
+      this.stop();
+      state.cycle = { ...state.settings };
+      state.active = true;
+      state.round = 0;
+      startRound();
+    },
+
+    /**
+     * Pick up a cycle saved before the page was closed or reloaded, in the
+     * round or break the wall clock says it is in now
+     * @param {Object} saved - The cycle as persisted
+     * @param {Object} [sprint] - The saved sprint of its writing round
+     */
+    restore(saved, sprint) {
+      if (!saved?.round || state.active) return;
+      state.active = true;
+      state.cycle = { ...POMODORO_DEFAULTS, ...saved.cycle };
+      state.round = saved.round;
+
+      if (saved.onBreak) {
+        startBreak(saved.roundEndedAt);
+      } else if (sprint) {
+        // A round that ran out while away goes on to its break
+        if (sprintManager.restore(sprint, { onComplete: startBreak })) {
+          persist(); // the cycle is this tab's now
+        }
+        renderCycle();
+      } else {
+        this.stop();
+      }
+    },
+
+    skipBreak() {
+      if (state.onBreak) endBreak();
+    },
+
+    // End the cycle early; a round in progress counts as cancelled
+    stop() {
+      if (!state.active) return;
+      state.active = false;
+      forget();
+      clearBreak();
+      sprintManager.reset();
+      renderCycle();
+    },
+  };
+};
+
+// Create the singleton instance
+const pomodoro = createPomodoro();
+
+// ---------- Configuration Constants ----------
+// Time is in milliseconds (ms)
+const AUTOSAVE_INTERVAL_MS = 1000;
+const TOAST_INTERVAL_MS = 600000; // 10 minutes
+const HOUR_MS = 3_600_000;
+const DAY_MS = 86_400_000;
+const IDLE_TIMEOUT_DEFAULT_MS = 30000; // Longer gaps between keystrokes aren't writing time
+const PACE_WINDOW_MS = 60000; // Live WPM looks at the last minute of input
+const PACE_MIN_MS = 10000; // Active time needed before showing a pace
+const WORDS_PER_PAGE_DEFAULT = 250; // Standard manuscript page, for page goals
+const SPRINT_PACE_MIN_MS = 30000; // Sprint time before judging the pace
+const STATS_UPDATE_INTERVAL_MS = 5000;
+const SNAPSHOT_INTERVAL_MS = 300000; // 5 minutes of typing between automatic snapshots
+const MAX_SNAPSHOTS_PER_DOC = 50;
 
 // UI Constants
 const RING_RADIUS = 18; // SVG progress ring radius (matches viewBox circle r="18")
 
-// ---------- Cached Elements ----------
-const els = {
-  sidebar: document.getElementById('sidebar'),
-  sidebarToggle: document.getElementById('sidebarToggle'),
-  aboutPanel: document.getElementById('aboutPanel'),
-  aboutToggle: document.getElementById('aboutToggle'),
-  aboutClose: document.getElementById('aboutClose'),
-  exportMenu: document.getElementById('exportMenu'),
-  exportBtn: document.getElementById('exportBtn'),
-  // Unified sprint pill
-  sprintPill: document.getElementById('sprintPill'),
-  sprintDisplay: document.getElementById('sprintDisplay'),
-  sprintPopover: document.getElementById('sprintPopover'),
-  streakCount: document.getElementById('streakCount'),
-  streakRecord: document.getElementById('streakRecord'),
-  ringSvg: document.querySelector('.ring'),
-  // Session stats
-  statWords: document.getElementById('statWords'),
-  statMinutes: document.getElementById('statMinutes'),
-  statBestSprint: document.getElementById('statBestSprint'),
-  statSprints: document.getElementById('statSprints'),
-  // Controls
-  clearBtn: document.getElementById('clearBtn'),
-  clearMenu: document.getElementById('clearMenu'),
-  clearEditorBtn: document.getElementById('clearEditorBtn'),
-  newSessionBtn: document.getElementById('newSessionBtn'),
-  saveBtn: document.getElementById('saveBtn'),
-  focusBtn: document.getElementById('focusBtn'),
-  exitFocus: document.getElementById('exitFocus'),
-  importFile: document.getElementById('importFile'),
-  resetStreakBtn: document.getElementById('resetStreakBtn'),
-  footerRight: document.querySelector('.footer .right'),
-  sprintBanner: document.getElementById('sprintBanner'),
-  chime: document.getElementById('chime'),
-  // Focus mode footer
-  focusFooter: document.getElementById('focusFooter'),
-  focusWords: document.getElementById('focusWords'),
-  focusGoal: document.getElementById('focusGoal'),
-  focusPercent: document.getElementById('focusPercent'),
-  focusBar: document.getElementById('focusBar'),
-  focusSprint: document.getElementById('focusSprint'),
-  // Goal chip (editable)
-  goalChip: document.getElementById('goalChip'),
-  goalInputNew: document.getElementById('goalInputNew'),
-  goalDisplay: document.getElementById('goalDisplay'),
-  goalEdit: document.querySelector('.goal-edit'),
-  goalDisplay: document.querySelector('.goal-display'),
-  goalEdit: document.querySelector('.goal-edit'),
+// ------------------------------------------------------------------
+// ACTIVITY TRACKER (active writing time + live pace)
+// ------------------------------------------------------------------
+// Active time is the sum of the gaps between keystrokes that are shorter
+// than the idle timeout, so thinking pauses count and a coffee break
+// doesn't. Hiding or leaving the tab pauses the clock. Time is credited to
+// the day it happened on and added to that day's `typingMs` in small
+// increments, so a reload loses at most the last few seconds.
+
+const createActivityTracker = () => {
+  // Private state
+  const state = {
+    idleMs: IDLE_TIMEOUT_DEFAULT_MS,
+    lastInputAt: 0,
+    pendingMs: 0, // not yet written to dailyStats
+    pendingDate: null,
+    sessionMs: 0, // active time since this tab opened
+    sessionWords: 0,
+    samples: [], // { at, ms, words } within the live pace window
+  };
+
+  // Private helper to drop samples older than the pace window
+  const trim = (now) => {
+    state.samples = state.samples.filter((s) => now - s.at <= PACE_WINDOW_MS);
+  };
+
+  return {
+    getIdleTimeout: () => state.idleMs,
+    setIdleTimeout: (ms) => {
+      state.idleMs = Number(ms) > 0 ? Number(ms) : IDLE_TIMEOUT_DEFAULT_MS;
+    },
+
+    /**
+     * Note a keystroke. The gap since the previous one counts as active
+     * time unless it was longer than the idle timeout.
+     * @param {number} now - Timestamp of the input
+     */
+    touch(now = Date.now()) {
+      const today = toWritingDay(now);
+      // A new day: the time so far belongs to yesterday
+      if (state.pendingDate && state.pendingDate !== today) this.flush();
+
+      const gap = state.lastInputAt ? now - state.lastInputAt : Infinity;
+      state.lastInputAt = now;
+      if (gap > state.idleMs) return;
+
+      state.pendingMs += gap;
+      state.pendingDate = today;
+      state.sessionMs += gap;
+      state.samples.push({ at: now, ms: gap, words: 0 });
+    },
+
+    // Credit words added to the live pace
+    addWords(words, now = Date.now()) {
+      if (words <= 0) return;
+      state.sessionWords += words;
+      state.samples.push({ at: now, ms: 0, words });
+    },
+
+    // Stop the clock (tab hidden or blurred) and persist what's pending
+    pause() {
+      state.lastInputAt = 0;
+      return this.flush();
+    },
+
+    // Active time not yet written, for today's display
+    getPendingMs: (date) => (state.pendingDate === date ? state.pendingMs : 0),
+
+    /**
+     * Add the pending active time to its day's stats row
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      if (!state.pendingMs) return;
+      const ms = state.pendingMs;
+      const date = state.pendingDate;
+      state.pendingMs = 0;
+      state.pendingDate = null;
+      await updateDailyStats(date, (row) => {
+        row.typingMs = (row.typingMs || 0) + ms;
+      });
+    },
+
+    // Forget pending time (today's stats were just reset)
+    discard() {
+      state.pendingMs = 0;
+      state.pendingDate = null;
+      state.lastInputAt = 0;
+    },
+
+    /**
+     * Words per minute over the last minute of writing, and words per hour
+     * over this tab's session. Null until there's enough time to judge.
+     * @returns {{wpm: ?number, wph: ?number}}
+     */
+    getPace(now = Date.now()) {
+      trim(now);
+      const recent = state.samples.reduce(
+        (sum, s) => ({ ms: sum.ms + s.ms, words: sum.words + s.words }),
+        { ms: 0, words: 0 }
+      );
+      return {
+        wpm:
+          recent.ms >= PACE_MIN_MS
+            ? Math.round((recent.words / recent.ms) * 60000)
+            : null,
+        wph:
+          state.sessionMs >= PACE_MIN_MS
+            ? Math.round((state.sessionWords / state.sessionMs) * 3600000)
+            : null,
+      };
+    },
+  };
+};
+
+// Create the singleton instance
+const activityTracker = createActivityTracker();
+
+// ------------------------------------------------------------------
+// WORD COUNTER (language-aware, via Intl.Segmenter)
+// ------------------------------------------------------------------
+// Splitting on whitespace undercounts scripts that don't put spaces between
+// words: a page of Chinese, Japanese or Thai came out as a handful of
+// "words". Intl.Segmenter finds word boundaries for the document's language
+// instead. The rules for CJK characters, hyphens, numbers and web addresses
+// are one app-wide setting; the language is set per document.
+
+const WORD_COUNT_DEFAULTS = {
+  cjk: 'words', // 'words' (segmented like any language) or 'chars'
+  hyphens: 'join', // 'join' ("well-known" is one word) or 'split'
+  numbers: 'count', // 'count' or 'skip'
+  urls: 'count', // 'count' (one word each) or 'skip'
+};
+
+const CJK_CHAR =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+const URL_TOKEN = /\b(?:https?:\/\/|www\.)\S+/giu;
+const WORD_HYPHEN = /(?<=[\p{L}\p{N}])[-\u2010\u2011](?=[\p{L}\p{N}])/gu;
+const HAS_LETTER = /\p{L}/u;
+const HAS_LETTER_OR_DIGIT = /[\p{L}\p{N}]/u;
+
+const createWordCounter = () => {
+  // Private state
+  let rules = { ...WORD_COUNT_DEFAULTS };
+  const segmenters = new Map(); // language tag -> Intl.Segmenter
+  // The same text is counted several times per keystroke
+  let last = { text: null, language: null, count: 0 };
+  // Counts per paragraph of the text counted last. A keystroke changes one
+  // paragraph, so the rest of a long manuscript isn't segmented again.
+  let paragraphs = { language: null, counts: new Map() };
+
+  // Private helper: one segmenter per language, or null without support
+  const getSegmenter = (language) => {
+    if (typeof Intl.Segmenter !== 'function') return null;
+    if (!segmenters.has(language)) {
+      let segmenter;
+      try {
+        segmenter = new Intl.Segmenter(language || undefined, {
+          granularity: 'word',
+        });
+      } catch (err) {
+        // A malformed language tag falls back to the browser's language
+        segmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+      }
+      segmenters.set(language, segmenter);
+    }
+    return segmenters.get(language);
+  };
+
+  // Private helper: does this token count as a word under the rules?
+  const isCounted = (token) =>
+    rules.numbers === 'skip'
+      ? HAS_LETTER.test(token)
+      : HAS_LETTER_OR_DIGIT.test(token);
+
+  const countSegments = (text, language) => {
+    const segmenter = getSegmenter(language);
+    // No Intl.Segmenter: the old whitespace count
+    if (!segmenter) {
+      return text.trim().split(/\s+/).filter(isCounted).length;
+    }
+    let count = 0;
+    for (const { segment, isWordLike } of segmenter.segment(text)) {
+      if (isWordLike && isCounted(segment)) count++;
+    }
+    return count;
+  };
+
+  // Private helper: count one paragraph. No rule reaches across a line
+  // break, so paragraphs add up to the count of the whole text.
+  const countParagraph = (text, language) => {
+    let count = 0;
+
+    // Web addresses go first, before segmenting breaks them into pieces
+    let rest = text.replace(URL_TOKEN, () => {
+      if (rules.urls === 'count') count++;
+      return ' ';
+    });
+    rest = rest.replace(WORD_HYPHEN, rules.hyphens === 'join' ? '' : ' ');
+    if (rules.cjk === 'chars') {
+      rest = rest.replace(CJK_CHAR, () => {
+        count++;
+        return ' ';
+      });
+    }
+    return count + countSegments(rest, language);
+  };
+
+  return {
+    getRules: () => ({ ...rules }),
+    setRules(next) {
+      rules = { ...WORD_COUNT_DEFAULTS, ...next };
+      last = { text: null, language: null, count: 0 };
+      paragraphs = { language: null, counts: new Map() };
+    },
+
+    /**
+     * Count the words in a text
+     * @param {string} text
+     * @param {string} [language] - BCP 47 tag, '' for the browser's language
+     * @returns {number}
+     */
+    count(text, language = '') {
+      if (text === last.text && language === last.language) return last.count;
+      const cached =
+        paragraphs.language === language ? paragraphs.counts : new Map();
+      const counts = new Map();
+      let count = 0;
+
+      for (const paragraph of text.split('\n')) {
+        let n = counts.get(paragraph) ?? cached.get(paragraph);
+        if (n === undefined) n = countParagraph(paragraph, language);
+        counts.set(paragraph, n);
+        count += n;
+      }
+
+      paragraphs = { language, counts };
+      last = { text, language, count };
+      return count;
+    },
+
+    /**
+     * Count a piece of a text (e.g. the paragraph around an edit), leaving
+     * the caches for whole documents alone
+     * @param {string} text
+     * @param {string} [language]
+     * @returns {number}
+     */
+    countPart(text, language = '') {
+      return text
+        .split('\n')
+        .reduce((sum, line) => sum + countParagraph(line, language), 0);
+    },
+  };
+};
+
+// Create the singleton instance
+const wordCounter = createWordCounter();
+
+// ---------- Cached Elements ----------
+const els = {
+  sidebar: document.getElementById('sidebar'),
+  sidebarToggle: document.getElementById('sidebarToggle'),
+  aboutPanel: document.getElementById('aboutPanel'),
+  aboutToggle: document.getElementById('aboutToggle'),
+  aboutClose: document.getElementById('aboutClose'),
+  exportMenu: document.getElementById('exportMenu'),
+  exportBtn: document.getElementById('exportBtn'),
+  // Unified sprint pill
+  sprintPill: document.getElementById('sprintPill'),
+  sprintDisplay: document.getElementById('sprintDisplay'),
+  sprintPopover: document.getElementById('sprintPopover'),
+  // Pomodoro
+  breakBanner: document.getElementById('breakBanner'),
+  breakText: document.getElementById('breakText'),
+  breakClock: document.getElementById('breakClock'),
+  breakSkipBtn: document.getElementById('breakSkipBtn'),
+  focusCycle: document.getElementById('focusCycle'),
+  pomodoroDialog: document.getElementById('pomodoroDialog'),
+  pomodoroForm: document.getElementById('pomodoroForm'),
+  pomodoroWork: document.getElementById('pomodoroWork'),
+  pomodoroBreak: document.getElementById('pomodoroBreak'),
+  pomodoroLongBreak: document.getElementById('pomodoroLongBreak'),
+  pomodoroRounds: document.getElementById('pomodoroRounds'),
+  pomodoroLock: document.getElementById('pomodoroLock'),
+  pomodoroError: document.getElementById('pomodoroError'),
+  streakCount: document.getElementById('streakCount'),
+  streakRecord: document.getElementById('streakRecord'),
+  ringSvg: document.querySelector('.ring'),
+  // Daily goal
+  dailyChip: document.getElementById('dailyChip'),
+  dailyWords: document.getElementById('dailyWords'),
+  dailyGoalDisplay: document.getElementById('dailyGoalDisplay'),
+  dailyProgress: document.getElementById('dailyProgress'),
+  dailyBar: document.getElementById('dailyBar'),
+  dailyGoalInput: document.getElementById('dailyGoalInput'),
+  focusDaily: document.getElementById('focusDaily'),
+  focusDailyWords: document.getElementById('focusDailyWords'),
+  // Session stats
+  statWords: document.getElementById('statWords'),
+  statMinutes: document.getElementById('statMinutes'),
+  statBestSprint: document.getElementById('statBestSprint'),
+  statSprints: document.getElementById('statSprints'),
+  statTally: document.getElementById('statTally'),
+  idleTimeoutSelect: document.getElementById('idleTimeoutSelect'),
+  dayStartSelect: document.getElementById('dayStartSelect'),
+  timeZoneSelect: document.getElementById('timeZoneSelect'),
+  // Live pace meter (footer and focus mode footer)
+  paceWpm: document.getElementById('paceWpm'),
+  paceWph: document.getElementById('paceWph'),
+  focusWpm: document.getElementById('focusWpm'),
+  focusWph: document.getElementById('focusWph'),
+  accountingToggle: document.getElementById('accountingToggle'),
+  // Controls
+  clearBtn: document.getElementById('clearBtn'),
+  clearMenu: document.getElementById('clearMenu'),
+  clearEditorBtn: document.getElementById('clearEditorBtn'),
+  newSessionBtn: document.getElementById('newSessionBtn'),
+  saveBtn: document.getElementById('saveBtn'),
+  focusBtn: document.getElementById('focusBtn'),
+  exitFocus: document.getElementById('exitFocus'),
+  importFile: document.getElementById('importFile'),
+  resetStreakBtn: document.getElementById('resetStreakBtn'),
+  streakFreezes: document.getElementById('streakFreezes'),
+  streakCalendar: document.getElementById('streakCalendar'),
+  streakRules: document.getElementById('streakRules'),
+  streakRulesBtn: document.getElementById('streakRulesBtn'),
+  streakRulesDialog: document.getElementById('streakRulesDialog'),
+  streakRulesForm: document.getElementById('streakRulesForm'),
+  streakMinWords: document.getElementById('streakMinWords'),
+  streakRestDays: document.getElementById('streakRestDays'),
+  streakFreezeEvery: document.getElementById('streakFreezeEvery'),
+  streakMaxFreezes: document.getElementById('streakMaxFreezes'),
+  streakRulesError: document.getElementById('streakRulesError'),
+  footerRight: document.querySelector('.footer .right'),
+  sprintBanner: document.getElementById('sprintBanner'),
+  chime: document.getElementById('chime'),
+  // Focus mode footer
+  focusFooter: document.getElementById('focusFooter'),
+  focusWords: document.getElementById('focusWords'),
+  focusGoal: document.getElementById('focusGoal'),
+  focusUnit: document.getElementById('focusUnit'),
+  focusPercent: document.getElementById('focusPercent'),
+  focusBar: document.getElementById('focusBar'),
+  focusSprint: document.getElementById('focusSprint'),
+  // Goal chip (editable)
+  goalChip: document.getElementById('goalChip'),
+  goalInputNew: document.getElementById('goalInputNew'),
+  goalDisplay: document.getElementById('goalDisplay'),
+  goalUnitLabel: document.getElementById('goalUnitLabel'),
+  goalEdit: document.querySelector('.goal-edit'),
+  goalDisplay: document.querySelector('.goal-display'),
+  goalEdit: document.querySelector('.goal-edit'),
+
+  incGoalNew: document.getElementById('incGoalNew'),
+  decGoalNew: document.getElementById('decGoalNew'),
+  // Document library
+  docList: document.getElementById('docList'),
+  docNewBtn: document.getElementById('docNewBtn'),
+  docRenameBtn: document.getElementById('docRenameBtn'),
+  docDuplicateBtn: document.getElementById('docDuplicateBtn'),
+  docDeleteBtn: document.getElementById('docDeleteBtn'),
+  // Version history
+  historyBtn: document.getElementById('historyBtn'),
+  historyPanel: document.getElementById('historyPanel'),
+  historyClose: document.getElementById('historyClose'),
+  historyList: document.getElementById('historyList'),
+  historyDetail: document.getElementById('historyDetail'),
+  historyDiff: document.getElementById('historyDiff'),
+  historyCopyBtn: document.getElementById('historyCopyBtn'),
+  historyRestoreBtn: document.getElementById('historyRestoreBtn'),
+  // Sprint history
+  sprintHistoryBtn: document.getElementById('sprintHistoryBtn'),
+  sprintPanel: document.getElementById('sprintPanel'),
+  sprintClose: document.getElementById('sprintClose'),
+  sprintChart: document.getElementById('sprintChart'),
+  sprintBests: document.getElementById('sprintBests'),
+  sprintLog: document.getElementById('sprintLog'),
+  // Backup / restore
+  restoreFile: document.getElementById('restoreFile'),
+  restoreDialog: document.getElementById('restoreDialog'),
+  restoreSummaryDate: document.getElementById('restoreSummaryDate'),
+  restoreSummaryList: document.getElementById('restoreSummaryList'),
+  // Multiple tabs
+  tabBanner: document.getElementById('tabBanner'),
+  tabTakeOverBtn: document.getElementById('tabTakeOverBtn'),
+  // Storage persistence
+  storagePersist: document.getElementById('storagePersist'),
+  storageUsage: document.getElementById('storageUsage'),
+  storagePersistBtn: document.getElementById('storagePersistBtn'),
+  evictionBanner: document.getElementById('evictionBanner'),
+  evictionDetail: document.getElementById('evictionDetail'),
+  evictionRestoreBtn: document.getElementById('evictionRestoreBtn'),
+  evictionDismissBtn: document.getElementById('evictionDismissBtn'),
+  // Writing history heatmap
+  heatmapScroll: document.getElementById('heatmapScroll'),
+  heatmapMonths: document.getElementById('heatmapMonths'),
+  heatmap: document.getElementById('heatmap'),
+  heatmapTotals: document.getElementById('heatmapTotals'),
+  // Goal units
+  goalUnitSelect: document.getElementById('goalUnitSelect'),
+  wordsPerPageField: document.getElementById('wordsPerPageField'),
+  wordsPerPageInput: document.getElementById('wordsPerPageInput'),
+  // Word counting
+  docLanguageSelect: document.getElementById('docLanguageSelect'),
+  countingRulesBtn: document.getElementById('countingRulesBtn'),
+  countingDialog: document.getElementById('countingDialog'),
+  countingForm: document.getElementById('countingForm'),
+  countCjk: document.getElementById('countCjk'),
+  countHyphens: document.getElementById('countHyphens'),
+  countNumbers: document.getElementById('countNumbers'),
+  countUrls: document.getElementById('countUrls'),
+  // Deadline goals
+  goalDeadline: document.getElementById('goalDeadline'),
+  ringPace: document.getElementById('ringPace'),
+  deadlineSummary: document.getElementById('deadlineSummary'),
+  deadlineGrid: document.getElementById('deadlineGrid'),
+  deadlineLeftLabel: document.getElementById('deadlineLeftLabel'),
+  deadlineLeft: document.getElementById('deadlineLeft'),
+  deadlineDays: document.getElementById('deadlineDays'),
+  deadlinePerDay: document.getElementById('deadlinePerDay'),
+  deadlineSchedule: document.getElementById('deadlineSchedule'),
+  deadlineSetBtn: document.getElementById('deadlineSetBtn'),
+  deadlineEditBtn: document.getElementById('deadlineEditBtn'),
+  deadlineRemoveBtn: document.getElementById('deadlineRemoveBtn'),
+  deadlineDialog: document.getElementById('deadlineDialog'),
+  deadlineForm: document.getElementById('deadlineForm'),
+  deadlineTitle: document.getElementById('deadlineTitle'),
+  deadlineTargetLabel: document.getElementById('deadlineTargetLabel'),
+  deadlineTarget: document.getElementById('deadlineTarget'),
+  deadlineStartLabel: document.getElementById('deadlineStartLabel'),
+  deadlineDate: document.getElementById('deadlineDate'),
+  deadlineStart: document.getElementById('deadlineStart'),
+  deadlineError: document.getElementById('deadlineError'),
+  // Offline updates
+  updateBanner: document.getElementById('updateBanner'),
+  updateReloadBtn: document.getElementById('updateReloadBtn'),
+  updateLaterBtn: document.getElementById('updateLaterBtn'),
+  // Linked files
+  fileBanner: document.getElementById('fileBanner'),
+  fileBannerText: document.getElementById('fileBannerText'),
+  fileReconnectBtn: document.getElementById('fileReconnectBtn'),
+  fileLoadBtn: document.getElementById('fileLoadBtn'),
+  fileOverwriteBtn: document.getElementById('fileOverwriteBtn'),
+  fileLinkStatus: document.getElementById('fileLinkStatus'),
+  fileLinkName: document.getElementById('fileLinkName'),
+  fileUnlinkBtn: document.getElementById('fileUnlinkBtn'),
+  // Passphrase lock
+  lockStatus: document.getElementById('lockStatus'),
+  lockSetBtn: document.getElementById('lockSetBtn'),
+  lockChangeBtn: document.getElementById('lockChangeBtn'),
+  lockNowBtn: document.getElementById('lockNowBtn'),
+  lockRemoveBtn: document.getElementById('lockRemoveBtn'),
+  lockScreen: document.getElementById('lockScreen'),
+  unlockForm: document.getElementById('unlockForm'),
+  unlockInput: document.getElementById('unlockInput'),
+  unlockBtn: document.getElementById('unlockBtn'),
+  unlockError: document.getElementById('unlockError'),
+  passphraseDialog: document.getElementById('passphraseDialog'),
+  passphraseForm: document.getElementById('passphraseForm'),
+  passphraseTitle: document.getElementById('passphraseTitle'),
+  passphraseNote: document.getElementById('passphraseNote'),
+  passphraseCurrentField: document.getElementById('passphraseCurrentField'),
+  passphraseCurrent: document.getElementById('passphraseCurrent'),
+  passphraseNewField: document.getElementById('passphraseNewField'),
+  passphraseNew: document.getElementById('passphraseNew'),
+  passphraseConfirmField: document.getElementById('passphraseConfirmField'),
+  passphraseConfirm: document.getElementById('passphraseConfirm'),
+  passphraseError: document.getElementById('passphraseError'),
+  passphraseSubmit: document.getElementById('passphraseSubmit'),
+};
+
+/**
+ * Count words using the document's language and the counting rules
+ * @param {string} text
+ * @param {string} [language] - Defaults to the open document's language
+ * @returns {number}
+ */
+function countWords(text, language = documentLibrary.getActive()?.language) {
+  return wordCounter.count(text || '', language || '');
+}
+
+/**
+ * Generates a date stamp (YYYY-MM-DD) based on the user's local time zone.
+ * This prevents the "ahead of time" issue caused by using UTC.
+ * @returns {string} The local date stamp (e.g., "2025-11-20").
+ */
+function getLocalExportStamp() {
+  const now = new Date();
+  const year = now.getFullYear();
+  // Month is 0-indexed, so add 1
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// YYYY-MM-DD for the writing day it is now
+function getLocalDateStamp() {
+  return toWritingDay(Date.now());
+}
+
+// ---------- Writing Day ----------
+// Stats, typing time and streaks are filed by writing day. It starts at the
+// user's chosen hour (a session from 11pm to 2am stays on one day with a
+// 4 AM start) in either this device's time zone or a fixed one, so travel
+// doesn't move the day around.
+const DAY_BOUNDARY_DEFAULTS = { startHour: 0, timeZone: '' }; // '' = device
+const zoneFormatters = new Map(); // time zone -> Intl.DateTimeFormat
+
+// Wall-clock parts in a time zone, or null if the browser doesn't know it
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        hourCycle: 'h23',
+      });
+    } catch (err) {
+      errorHandler.warn(err, 'timeZone');
+    }
+    zoneFormatters.set(timeZone, formatter);
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+/**
+ * The writing day a moment belongs to
+ * @param {number|Date} time - Timestamp
+ * @returns {string} Date stamp (YYYY-MM-DD)
+ */
+function toWritingDay(time) {
+  const { startHour, timeZone } = appState.dayBoundary;
+  const at = new Date(time);
+  let year = at.getFullYear();
+  let month = at.getMonth() + 1;
+  let day = at.getDate();
+  let hour = at.getHours();
+
+  const formatter = timeZone && getZoneFormatter(timeZone);
+  if (formatter) {
+    const parts = Object.fromEntries(
+      formatter
+        .formatToParts(at)
+        .map(({ type, value }) => [type, Number(value)])
+    );
+    ({ year, month, day, hour } = parts);
+  }
+
+  // Wall-clock hours, so DST changes don't move the boundary. Before the
+  // day starts, it's still the day before.
+  return toDateStamp(
+    new Date(year, month - 1, hour < startHour ? day - 1 : day)
+  );
+}
+
+// YYYY-MM-DD for a calendar date (a local Date; the time is ignored)
+function toDateStamp(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+// ---------- State ----------
+const appState = {
+  // General app state
+  startTime: Date.now(),
+  lastSavedAt: 0,
+  lastToastAt: 0,
+  lastSnapshotAt: Date.now(),
+  lastWordCount: countWords(editor.value),
+  dayBoundary: { ...DAY_BOUNDARY_DEFAULTS },
+  lastText: editor.value, // the editor as of the last input event
+  pendingTally: { added: 0, deleted: 0 }, // not yet written to the stats
+  // Words added and deleted in this tab since it opened (sprints diff these)
+  tally: { added: 0, deleted: 0 },
+  // Inputs for goal units that aren't measured from the text alone
+  wordsPerPage: WORDS_PER_PAGE_DEFAULT,
+  activeMsToday: 0,
+  focus: false,
+  wasGoalComplete: false,
+  // Daily goal, across documents
+  dailyGoal: 0,
+  wordsToday: 0, // gross or net, as the word accounting says
+  wasDailyGoalComplete: null, // null until today's words are first loaded
+  sprintFavorites: [15, 25], // minutes, offered in the sprint popover
+};
+
+// Sync word trackers to the editor so loaded text isn't counted as typing
+function resetWordTracking() {
+  appState.lastWordCount = countWords(editor.value);
+  appState.lastText = editor.value;
+  appState.pendingTally = { added: 0, deleted: 0 };
+}
+
+/**
+ * Words added and deleted by one edit. The edit is taken as a deletion
+ * followed by an insertion, each credited on its own, so replacing a word
+ * or retyping a selected sentence counts as revision rather than as no
+ * change. Only the paragraphs the edit touches are counted.
+ * @param {string} before - Text before the edit
+ * @param {string} after - Text after it
+ * @returns {{added: number, deleted: number}}
+ */
+function measureEdit(before, after) {
+  const { at, del, ins } = diffSplice(before, after);
+  const lineEnd = (text, from) => {
+    const end = text.indexOf('\n', from);
+    return end < 0 ? text.length : end;
+  };
+  const start = at > 0 ? before.lastIndexOf('\n', at - 1) + 1 : 0;
+  const end = lineEnd(before, at + del);
+
+  const language = documentLibrary.getActive()?.language;
+  const count = (text) => wordCounter.countPart(text, language);
+  const old = count(before.slice(start, end));
+  const cut = count(before.slice(start, at) + before.slice(at + del, end));
+  const now = count(after.slice(start, lineEnd(after, at + ins.length)));
+  return {
+    added: Math.max(0, now - cut),
+    deleted: Math.max(0, old - cut),
+  };
+}
+
+// ---------- Theme ----------
+async function applyTheme(dark) {
+  document.body.classList.toggle('dark', !!dark);
+  themeToggle.classList.toggle('active', !!dark);
+  themeToggle.setAttribute('aria-checked', !!dark);
+  // --- NEW: Use storage.set() ---
+  await storage.set(STORAGE_KEYS.theme, dark ? 'dark' : 'light');
+}
+
+// (Theme is initialized inside loadState())
+
+// Toggle on click
+themeToggle.addEventListener('click', () => {
+  const isDark = document.body.classList.contains('dark');
+  applyTheme(!isDark);
+});
+
+// Keyboard support for theme toggle
+themeToggle.addEventListener('keydown', (e) => {
+  if (e.key === ' ' || e.key === 'Enter') {
+    e.preventDefault();
+    const isDark = document.body.classList.contains('dark');
+    applyTheme(!isDark);
+  }
+});
+
+async function loadState() {
+  try {
+    const doc = await documentLibrary.restore();
+    const savedTheme = await storage.get(STORAGE_KEYS.theme);
+
+    let recovered = null;
+    if (doc) {
+      editor.value = doc.text || '';
+      goalInput.value = parseInt(doc.goal, 10) || DEFAULT_GOAL;
+      editJournal.start(doc.id, editor.value);
+
+      // Replay keystrokes that never reached the database last time
+      // (skipped when another tab is editing: its journal is still live)
+      if (await tabCoordinator.claim(doc.id)) {
+        recovered = await editJournal.recover(doc.id, editor.value);
+        if (recovered != null) editor.value = recovered;
+      }
+      await attachLinkedFile(doc.id);
+    }
+
+    await applyTheme(savedTheme === 'dark');
+    // Sync word tracking before updateAll to prevent false word counts
+    resetWordTracking();
+    updateAll();
+    await renderDocumentList();
+
+    if (recovered != null) {
+      await save();
+      showToast('Recovered unsaved changes from your last visit ✓', 4000);
+    }
+  } catch (err) {
+    errorHandler.error(err, 'loadState', { notify: false });
+    // Continue with defaults
+    goalInput.value = DEFAULT_GOAL;
+    await applyTheme(false);
+    updateAll();
+  }
+}
+
+// ---------- Goal Units ----------
+// A document's goal can be counted in something other than words. Each
+// unit knows how to measure the text, its step for the goal chip's +/−
+// buttons and a sensible goal to start from.
+const GOAL_UNITS = {
+  words: {
+    label: 'words',
+    short: 'words',
+    step: 100,
+    defaultGoal: DEFAULT_GOAL,
+    measure: (text) => countWords(text),
+  },
+  chars: {
+    label: 'characters',
+    short: 'chars',
+    step: 500,
+    defaultGoal: 6000,
+    measure: (text) => [...text].length,
+  },
+  charsNoSpaces: {
+    label: 'characters (no spaces)',
+    short: 'chars',
+    step: 500,
+    defaultGoal: 5000,
+    measure: (text) => [...text.replace(/\s/g, '')].length,
+  },
+  pages: {
+    label: 'pages',
+    short: 'pages',
+    step: 1,
+    defaultGoal: 4,
+    // One decimal place, never rounded up to a page not yet written
+    measure: (text) =>
+      Math.floor((countWords(text) / appState.wordsPerPage) * 10) / 10,
+  },
+  sentences: {
+    label: 'sentences',
+    short: 'sentences',
+    step: 10,
+    defaultGoal: 50,
+    measure: (text) => countSentences(text),
+  },
+  minutes: {
+    label: 'minutes writing today',
+    short: 'min',
+    step: 5,
+    defaultGoal: 45,
+    daily: true, // starts again each day, so it can't have a deadline
+    // Active writing time, across documents (see the activity tracker)
+    measure: () => Math.floor(appState.activeMsToday / 60000),
+  },
+};
+
+// Sentences end in . ! ? or … (plus any closing quotes or brackets)
+function countSentences(text) {
+  return text
+    .split(/[.!?…]+["'”’)\]]*(?=\s|$)/u)
+    .filter((part) => /[\p{L}\p{N}]/u.test(part)).length;
+}
+
+function getGoalUnitKey() {
+  const key = documentLibrary.getActive()?.goalUnit;
+  return GOAL_UNITS[key] ? key : 'words';
+}
+
+function getGoalUnit() {
+  return GOAL_UNITS[getGoalUnitKey()];
+}
+
+/**
+ * The open document's progress in its goal unit
+ * @returns {number}
+ */
+function measureProgress() {
+  return getGoalUnit().measure(editor.value);
+}
+
+// ---------- Progress + Stats ----------
+function updateAll() {
+  // sanitize goal: force number, clamp between 1 and 999999
+  let goal = parseInt(goalInput.value, 10);
+  if (isNaN(goal) || goal < 1) goal = 1;
+  if (goal > 999999) goal = 999999;
+
+  // Calculate all values first (no DOM access)
+  const unit = getGoalUnit();
+  const words = countWords(editor.value);
+  const progress = unit.measure(editor.value);
+  const remaining = Math.max(0, goal - progress);
+  const pct = Math.min(100, Math.floor((progress / goal) * 100));
+  const CIRC = 2 * Math.PI * RING_RADIUS;
+  const offset = CIRC * (1 - pct / 100);
+  const isGoalComplete = pct >= 100;
+
+  // Batch all DOM updates in a single animation frame
+  requestAnimationFrame(() => {
+    // Update input and text elements
+    goalInput.value = goal;
+    if (goalDisplay) goalDisplay.textContent = goal.toLocaleString();
+    if (els.goalUnitLabel) {
+      // Words stay implicit, as they always were
+      els.goalUnitLabel.hidden = unit === GOAL_UNITS.words;
+      els.goalUnitLabel.textContent = unit.short;
+    }
+    els.goalChip?.setAttribute(
+      'aria-label',
+      `Edit goal, currently ${goal} ${unit.label}`
+    );
+    if (els.goalUnitSelect) els.goalUnitSelect.value = getGoalUnitKey();
+    if (els.docLanguageSelect) {
+      els.docLanguageSelect.value = documentLibrary.getActive()?.language || '';
+    }
+    if (els.wordsPerPageField) {
+      els.wordsPerPageField.hidden = unit !== GOAL_UNITS.pages;
+    }
+    if (wordsEl) wordsEl.textContent = words.toLocaleString();
+    if (remainingEl) remainingEl.textContent = remaining.toLocaleString();
+
+    // Update progress bar and ring
+    if (bar) bar.style.width = pct + '%';
+
+    if (ring) {
+      ring.setAttribute('stroke-dasharray', CIRC.toFixed(1));
+      ring.setAttribute('stroke-dashoffset', offset.toFixed(1));
+    }
+
+    if (ringLabel) ringLabel.textContent = pct + '%';
+
+    // Toggle ring completion styling
+    if (els.ringSvg) {
+      els.ringSvg.classList.toggle('complete', isGoalComplete);
+    }
+
+    // Update document title
+    const done = progress.toLocaleString();
+    document.title =
+      unit === GOAL_UNITS.words
+        ? `✍️ ${done}/${goal} — Writing Goal Tracker`
+        : `✍️ ${done}/${goal} ${unit.short} — Writing Goal Tracker`;
+    // Update focus mode footer if visible
+    if (els.focusWords) els.focusWords.textContent = done;
+    if (els.focusGoal) els.focusGoal.textContent = goal.toLocaleString();
+    if (els.focusUnit) els.focusUnit.textContent = unit.short;
+    if (els.focusPercent) els.focusPercent.textContent = pct;
+    if (els.focusBar) els.focusBar.style.width = pct + '%';
+
+    renderDeadline(progress, goal, unit);
+
+    // Handle celebration - This section replaces the old toggle/trigger.
+    const isNewCompletion = isGoalComplete && !appState.wasGoalComplete;
+
+    if (isNewCompletion) {
+      showCelebrate();
+      markGoalMet();
+    }
+
+    // Update state for the next input event
+    appState.wasGoalComplete = isGoalComplete;
+  });
+}
+
+// Debounced version for use during rapid typing (16ms ≈ 60fps)
+const debouncedUpdateAll = debounce(updateAll, 16);
+
+// Debounced stats update to stay in sync with display.
+// Writes the words added and deleted by the edits since the last update
+// (see measureEdit), so revising shows up as work too.
+const debouncedStatsUpdate = debounce(() => {
+  const { added, deleted } = appState.pendingTally;
+  if (!added && !deleted) return;
+
+  appState.pendingTally = { added: 0, deleted: 0 };
+  appState.tally.added += added;
+  appState.tally.deleted += deleted;
+  activityTracker.addWords(added);
+  updateAllStatsTransaction(added, deleted).then(() => {
+    tabCoordinator.post({ type: 'stats' });
+    updateSessionStats();
+    updateStreakUI();
+  });
+}, 16);
+
+// ---------- Celebrate ----------
+/**
+ * Banner, confetti and a glow on the goal that was reached
+ * @param {boolean} [daily] - The daily goal rather than the document's
+ */
+function showCelebrate(daily = false) {
+  // Select a random message from the array
+  const messages = daily ? DAILY_CELEBRATION_MESSAGES : CELEBRATION_MESSAGES;
+  const message = messages[Math.floor(Math.random() * messages.length)];
+
+  // Update the banner's content (NO EMOJI in the text now, CSS handles it)
+  celebrate.innerHTML = message;
+
+  celebrate.classList.add('show');
+  burstConfetti();
+
+  // Trigger the ring (or daily bar) celebration glow
+  const glowing = daily ? els.dailyProgress : els.ringSvg;
+  if (glowing) {
+    glowing.classList.add('celebrating');
+  }
+
+  // Schedule the removal after 3 seconds
+  setTimeout(() => {
+    celebrate.classList.remove('show');
+
+    // Fade back to the complete state
+    if (glowing) {
+      glowing.classList.remove('celebrating');
+    }
+  }, 3000);
+}
+
+function burstConfetti() {
+  try {
+    for (let i = 0; i < 40; i++) createConfetto(i);
+  } catch (err) {
+    errorHandler.info(err, 'confetti', { silent: true });
+  }
+
+  function createConfetto(index) {
+    const isDark = document.body.classList.contains('dark');
+    const palette = isDark ? CONFETTI_PALETTES.dark : CONFETTI_PALETTES.light;
+
+    // 20% warm (gold) for brand cohesion with celebration banner
+    const useWarm = index % 5 === 0;
+    const colorPool = useWarm ? palette.warm : palette.cool;
+    const color = colorPool[Math.floor(Math.random() * colorPool.length)];
+
+    const c = document.createElement('div');
+    c.className = 'confetti';
+    c.style.left = Math.random() * 100 + 'vw';
+    c.style.background = color;
+    c.style.transform = `rotate(${Math.random() * 360}deg)`;
+    document.body.appendChild(c);
+
+    const fall = 800 + Math.random() * 900;
+    const drift = Math.random() * 40 - 20;
+
+    try {
+      c.animate(
+        [
+          { transform: c.style.transform + ' translate(0,0)', opacity: 1 },
+          {
+            transform: `rotate(${
+              Math.random() * 360
+            }deg) translate(${drift}vw, 100vh)`,
+            opacity: 0.6,
+          },
+        ],
+        { duration: fall, easing: 'cubic-bezier(.2,.7,.2,1)', fill: 'forwards' }
+      );
+    } catch (animErr) {
+      errorHandler.info(animErr, 'confettiAnimation', { silent: true });
+    }
+
+    setTimeout(() => {
+      try {
+        c.remove();
+      } catch (removeErr) {
+        // Element may have already been removed
+      }
+    }, fall + 100);
+  }
+}
+
+// ---------- Persistence ----------
+
+async function save(showToast = false) {
+  // Another tab is editing this document; never overwrite its work
+  if (!tabCoordinator.isEditable()) return;
+  // Locked (or about to reload after a passphrase change): nothing to write
+  if (vault.isLocked()) return;
+
+  try {
+    const text = editor.value;
+    await documentLibrary.saveActive(
+      text,
+      parseInt(goalInput.value, 10) || DEFAULT_GOAL
+    );
+    editJournal.commit(text);
+    appState.lastSavedAt = Date.now();
+    await syncLinkedFile(text);
+    broadcastText();
+    updateStorageMarker();
+
+    if (showToast) {
+      showSaveToast();
+      appState.lastToastAt = Date.now();
+    }
+  } catch (err) {
+    errorHandler.error(err, 'save', { notify: true });
+  }
+}
+
+let saveInProgress = false;
+let trailingSaveTimer = null;
+
+async function throttledSave() {
+  clearTimeout(trailingSaveTimer);
+
+  if (
+    saveInProgress ||
+    Date.now() - appState.lastSavedAt <= AUTOSAVE_INTERVAL_MS
+  ) {
+    // Too soon: try again later so the tail of a typing burst is saved too
+    trailingSaveTimer = setTimeout(throttledSave, AUTOSAVE_INTERVAL_MS);
+    return;
+  }
+
+  saveInProgress = true;
+
+  try {
+    await save();
+    appState.lastSavedAt = Date.now();
+
+    if (Date.now() - appState.lastToastAt > TOAST_INTERVAL_MS) {
+      showSaveToast();
+      appState.lastToastAt = Date.now();
+    }
+  } catch (err) {
+    errorHandler.warn(err, 'autosave', { silent: false });
+  } finally {
+    saveInProgress = false;
+  }
+}
+
+// Flush right away when the tab is hidden or closed. Mobile browsers may
+// never bring it back, and the journal only covers what IndexedDB misses.
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') save();
+});
+window.addEventListener('pagehide', () => save());
+
+function showSaveToast() {
+  const toast = document.getElementById('saveToast');
+  if (!toast) return;
+  toast.classList.add('show');
+  clearTimeout(toast._hideTimer);
+  toast._hideTimer = setTimeout(() => toast.classList.remove('show'), 1500);
+}
+
+// Briefly show a custom message in the save toast, then restore its text
+function showToast(message, ms = 2500) {
+  const toast = document.getElementById('saveToast');
+  if (!toast) return;
+  clearTimeout(toast._hideTimer);
+  const originalText = toast._originalText ?? toast.textContent;
+  toast._originalText = originalText;
+  toast.textContent = message;
+  toast.classList.add('show');
+  toast._hideTimer = setTimeout(() => {
+    toast.classList.remove('show');
+    toast.textContent = originalText;
+    toast._originalText = undefined;
+  }, ms);
+}
+
+// ---------- Document Library ----------
+
+function formatDocDate(ms) {
+  return new Date(ms).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+}
+
+async function renderDocumentList() {
+  if (!els.docList) return;
+
+  const docs = await documentLibrary.list();
+  const activeId = documentLibrary.getActiveId();
+  const linked = new Set(await db.fileLinks.toCollection().primaryKeys());
+
+  els.docList.replaceChildren(
+    ...docs.map((doc) => {
+      const li = document.createElement('li');
+      li.className = 'doc-item';
+      li.dataset.id = doc.id;
+      li.tabIndex = 0;
+      li.setAttribute('role', 'button');
+      li.title = `Created ${formatDocDate(doc.createdAt)}`;
+
+      const isActive = doc.id === activeId;
+      li.classList.toggle('active', isActive);
+      if (isActive) li.setAttribute('aria-current', 'true');
+
+      const title = document.createElement('span');
+      title.className = 'doc-title';
+      title.textContent = doc.title || 'Untitled';
+
+      const meta = document.createElement('span');
+      meta.className = 'doc-meta';
+      const words = countWords(doc.text, doc.language).toLocaleString();
+      const edited = formatDocDate(doc.updatedAt);
+      meta.textContent = `${words} words · Edited ${edited}`;
+      if (linked.has(doc.id)) meta.textContent = `🔗 ${meta.textContent}`;
+
+      li.append(title, meta);
+      return li;
+    })
+  );
+}
+
+// Open a document here and claim editing rights for it
+function showDocument(doc) {
+  if (!doc) return;
+  loadIntoEditor(doc);
+  tabCoordinator.claim(doc.id);
+  attachLinkedFile(doc.id);
+}
+
+// Load text and goal into the editor without counting its words as typed
+function loadIntoEditor(doc) {
+  editor.value = doc.text || '';
+  editJournal.start(doc.id ?? doc.docId, editor.value);
+  goalInput.value = parseInt(doc.goal, 10) || DEFAULT_GOAL;
+  resetWordTracking();
+
+  // Opening an already-finished document shouldn't re-trigger the celebration
+  appState.wasGoalComplete = measureProgress() >= goalInput.value;
+  updateAll();
+}
+
+async function switchDocument(id) {
+  if (id === documentLibrary.getActiveId()) return;
+  try {
+    await save();
+    const doc = await documentLibrary.open(id);
+    showDocument(doc);
+  } catch (err) {
+    errorHandler.error(err, 'switchDocument', { notify: true });
+  }
+  await renderDocumentList();
+}
+
+// Re-render the list here and in any other open tabs
+async function announceDocumentChange() {
+  tabCoordinator.post({ type: 'docs' });
+  await renderDocumentList();
+}
+
+els.docList?.addEventListener('click', (e) => {
+  const item = e.target.closest('.doc-item');
+  if (item) switchDocument(Number(item.dataset.id));
+});
+
+els.docList?.addEventListener('keydown', (e) => {
+  const item = e.target.closest('.doc-item');
+  if (item && (e.key === 'Enter' || e.key === ' ')) {
+    e.preventDefault();
+    switchDocument(Number(item.dataset.id));
+  }
+});
+
+els.docNewBtn?.addEventListener('click', async () => {
+  const title = prompt('Name your new document:', 'Untitled');
+  if (title === null) return;
+  await save();
+  const doc = await documentLibrary.create(title.trim() || 'Untitled');
+  showDocument(doc);
+  await announceDocumentChange();
+  editor.focus();
+});
+
+els.docRenameBtn?.addEventListener('click', async () => {
+  const doc = documentLibrary.getActive();
+  if (!doc) return;
+  const title = prompt('Rename document:', doc.title);
+  if (title === null || !title.trim()) return;
+  try {
+    await documentLibrary.rename(doc.id, title.trim());
+  } catch (err) {
+    errorHandler.error(err, 'renameDocument', { notify: true });
+  }
+  await announceDocumentChange();
+});
+
+els.docDuplicateBtn?.addEventListener('click', async () => {
+  const id = documentLibrary.getActiveId();
+  if (id == null) return;
+  try {
+    await save();
+    showDocument(await documentLibrary.duplicate(id));
+  } catch (err) {
+    errorHandler.error(err, 'duplicateDocument', { notify: true });
+  }
+  await announceDocumentChange();
+});
+
+els.docDeleteBtn?.addEventListener('click', async () => {
+  const doc = documentLibrary.getActive();
+  if (!doc) return;
+  if (!confirm(`Delete “${doc.title}”? This cannot be undone.`)) return;
+  try {
+    showDocument(await documentLibrary.remove(doc.id));
+  } catch (err) {
+    errorHandler.error(err, 'deleteDocument', { notify: true });
+  }
+  await announceDocumentChange();
+});
+
+// ---------- Multiple Tabs ----------
+
+// Read-only while another tab is editing this document
+function applyTabAccess(editable) {
+  editor.readOnly = !editable || pomodoro.isLocking();
+  document.body.classList.toggle('read-only', !editable);
+  if (els.tabBanner) els.tabBanner.hidden = editable;
+  renderFileLink();
+
+  // Persist the text we followed while the other tab was editing
+  if (editable) save();
+}
+
+// Replacing the text or today's stats is up to the editing tab. Says so
+// and returns false in a read-only tab.
+function requireEditableTab() {
+  if (tabCoordinator.isEditable()) return true;
+  showToast('This document is being edited in another tab');
+  return false;
+}
+
+function broadcastText() {
+  tabCoordinator.post({
+    type: 'text',
+    docId: documentLibrary.getActiveId(),
+    text: editor.value,
+    goal: parseInt(goalInput.value, 10) || DEFAULT_GOAL,
+  });
+}
+
+const debouncedBroadcastText = debounce(broadcastText, 150);
+
+tabCoordinator.onMessage(async (msg) => {
+  if (msg.type === 'vault') {
+    // The passphrase changed in another tab and this tab's key is stale:
+    // stop writing and start over at the lock screen
+    vault.lock();
+    location.reload();
+    return;
+  }
+  // A locked tab shows nothing until it is unlocked
+  if (vault.isLocked()) return;
+
+  const activeId = documentLibrary.getActiveId();
+
+  switch (msg.type) {
+    case 'lock':
+      lockApp();
+      break;
+
+    case 'text':
+      // Follow the editing tab live
+      if (msg.docId === activeId && !tabCoordinator.isEditable()) {
+        loadIntoEditor(msg);
+      }
+      break;
+
+    case 'idle':
+      activityTracker.setIdleTimeout(msg.ms);
+      if (els.idleTimeoutSelect) els.idleTimeoutSelect.value = msg.ms;
+      break;
+
+    case 'day':
+      await applyDayBoundary(msg.boundary);
+      break;
+
+    case 'dailyGoal':
+      appState.dailyGoal = msg.words;
+      if (els.dailyGoalInput) els.dailyGoalInput.value = msg.words;
+      renderDailyGoal();
+      break;
+
+    case 'counting':
+      wordCounter.setRules(msg.rules);
+      await recount();
+      break;
+
+    case 'pages':
+      appState.wordsPerPage = msg.wordsPerPage;
+      if (els.wordsPerPageInput) els.wordsPerPageInput.value = msg.wordsPerPage;
+      updateAll();
+      break;
+
+    case 'stats':
+      await updateSessionStats();
+      await updateStreakUI();
+      if (els.sprintPanel?.classList.contains('open')) renderSprintHistory();
+      break;
+
+    case 'docs':
+      // The open document was deleted in another tab
+      if (activeId != null && !(await db.documents.get(activeId))) {
+        showDocument(await documentLibrary.restore());
+      } else if (activeId != null) {
+        await documentLibrary.open(activeId); // pick up a rename
+        updateAll(); // ...or a new deadline or goal unit
+      }
+      await renderDocumentList();
+      break;
+  }
+});
+
+els.tabTakeOverBtn?.addEventListener('click', async () => {
+  if (await tabCoordinator.takeOver()) editor.focus();
+});
+
+// ---------- Version History ----------
+
+const SNAPSHOT_REASONS = {
+  auto: 'Autosnapshot',
+  import: 'Before import',
+  clear: 'Before clear',
+  session: 'Before new session',
+  restore: 'Before restore',
+  file: 'Before loading file',
+};
+
+/**
+ * Store a copy of the editor text for the active document.
+ * Skips empty text and text identical to the latest snapshot.
+ * @param {string} reason - One of the SNAPSHOT_REASONS keys
+ * @returns {Promise<boolean>} True if a snapshot was written
+ */
+async function takeSnapshot(reason = 'auto') {
+  const docId = documentLibrary.getActiveId();
+  const text = editor.value;
+  if (docId == null || !text.trim()) return false;
+
+  try {
+    const latest = await vault.openRow(
+      'snapshots',
+      await db.snapshots.where('docId').equals(docId).last()
+    );
+    if (latest && latest.text === text) return false;
+
+    await db.snapshots.add(
+      await vault.sealRow('snapshots', {
+        docId,
+        text,
+        words: countWords(text),
+        reason,
+        createdAt: Date.now(),
+      })
+    );
+    appState.lastSnapshotAt = Date.now();
+
+    // Drop the oldest snapshots beyond the per-document limit
+    const ids = await db.snapshots.where('docId').equals(docId).primaryKeys();
+    if (ids.length > MAX_SNAPSHOTS_PER_DOC) {
+      await db.snapshots.bulkDelete(
+        ids.slice(0, ids.length - MAX_SNAPSHOTS_PER_DOC)
+      );
+    }
+    return true;
+  } catch (err) {
+    return errorHandler.warn(err, 'snapshot');
+  }
+}
+
+function maybeAutoSnapshot() {
+  if (Date.now() - appState.lastSnapshotAt < SNAPSHOT_INTERVAL_MS) return;
+  appState.lastSnapshotAt = Date.now();
+  takeSnapshot('auto');
+}
+
+/**
+ * Line-based diff (LCS over paragraphs, with common prefix/suffix trimmed).
+ * Very large edits fall back to a single removed/added block.
+ * @param {string} oldText - Snapshot text
+ * @param {string} newText - Current text
+ * @returns {Array<{type: 'same'|'add'|'del', text: string}>}
+ */
+function diffLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map((text) => ({ type: 'same', text }));
+  const tail = a.slice(endA).map((text) => ({ type: 'same', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > 4_000_000) {
+    return [
+      ...head,
+      ...midA.map((text) => ({ type: 'del', text })),
+      ...midB.map((text) => ({ type: 'add', text })),
+      ...tail,
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of midA[i..] and midB[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] =
+        midA[i] === midB[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) {
+      middle.push({ type: 'same', text: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      middle.push({ type: 'del', text: midA[i++] });
+    } else {
+      middle.push({ type: 'add', text: midB[j++] });
+    }
+  }
+  while (i < n) middle.push({ type: 'del', text: midA[i++] });
+  while (j < m) middle.push({ type: 'add', text: midB[j++] });
+
+  return [...head, ...middle, ...tail];
+}
+
+function createDiffCell(type, text) {
+  const cell = document.createElement('div');
+  cell.className = `diff-line diff-${type}`;
+  // Keep empty paragraphs visible
+  cell.textContent = text || ' ';
+  return cell;
+}
+
+function renderDiff(snapshotText, currentText, view) {
+  const ops = diffLines(snapshotText, currentText);
+  const container = els.historyDiff;
+  container.classList.toggle('split', view === 'split');
+
+  if (!ops.some((op) => op.type !== 'same')) {
+    const note = document.createElement('p');
+    note.className = 'history-empty';
+    note.textContent = 'This snapshot matches the current text.';
+    container.replaceChildren(note);
+    return;
+  }
+
+  if (view !== 'split') {
+    container.replaceChildren(
+      ...ops.map((op) => createDiffCell(op.type, op.text))
+    );
+    return;
+  }
+
+  // Side by side: snapshot on the left, current text on the right.
+  // Runs of removed/added lines are paired up row by row.
+  const cells = [];
+  let dels = [];
+  let adds = [];
+  const flush = () => {
+    for (let k = 0; k < Math.max(dels.length, adds.length); k++) {
+      cells.push(
+        createDiffCell(k < dels.length ? 'del' : 'blank', dels[k]),
+        createDiffCell(k < adds.length ? 'add' : 'blank', adds[k])
+      );
+    }
+    dels = [];
+    adds = [];
+  };
+
+  ops.forEach((op) => {
+    if (op.type === 'del') dels.push(op.text);
+    else if (op.type === 'add') adds.push(op.text);
+    else {
+      flush();
+      cells.push(
+        createDiffCell('same', op.text),
+        createDiffCell('same', op.text)
+      );
+    }
+  });
+  flush();
+
+  container.replaceChildren(...cells);
+}
+
+const historyState = {
+  selected: null, // the snapshot being viewed
+  view: 'inline', // 'inline' | 'split'
+};
+
+async function renderHistoryList() {
+  const docId = documentLibrary.getActiveId();
+  let snapshots = [];
+  try {
+    snapshots =
+      docId == null
+        ? []
+        : await db.snapshots.where('docId').equals(docId).reverse().toArray();
+  } catch (err) {
+    errorHandler.error(err, 'loadHistory');
+  }
+
+  if (!snapshots.length) {
+    const empty = document.createElement('li');
+    empty.className = 'history-empty';
+    empty.textContent =
+      'No snapshots yet. One is saved every few minutes while you write.';
+    els.historyList.replaceChildren(empty);
+    return;
+  }
+
+  els.historyList.replaceChildren(
+    ...snapshots.map((snap) => {
+      const li = document.createElement('li');
+      li.className = 'history-item';
+      li.dataset.id = snap.id;
+      li.tabIndex = 0;
+      li.setAttribute('role', 'button');
+      li.classList.toggle('active', snap.id === historyState.selected?.id);
+
+      const when = document.createElement('span');
+      when.className = 'history-when';
+      when.textContent = new Date(snap.createdAt).toLocaleString(undefined, {
+        dateStyle: 'medium',
+        timeStyle: 'short',
+      });
+
+      const meta = document.createElement('span');
+      meta.className = 'history-meta';
+      meta.textContent = `${snap.words.toLocaleString()} words · ${
+        SNAPSHOT_REASONS[snap.reason] || SNAPSHOT_REASONS.auto
+      }`;
+
+      li.append(when, meta);
+      return li;
+    })
+  );
+}
+
+async function selectSnapshot(id) {
+  try {
+    historyState.selected =
+      (await vault.openRow('snapshots', await db.snapshots.get(id))) || null;
+  } catch (err) {
+    historyState.selected = null;
+    errorHandler.error(err, 'openSnapshot', { notify: true });
+  }
+  els.historyDetail.hidden = !historyState.selected;
+  if (historyState.selected) {
+    renderDiff(historyState.selected.text, editor.value, historyState.view);
+  }
+  els.historyList
+    .querySelectorAll('.history-item')
+    .forEach((li) =>
+      li.classList.toggle('active', Number(li.dataset.id) === id)
+    );
+}
+
+async function openHistoryPanel() {
+  historyState.selected = null;
+  els.historyDetail.hidden = true;
+  // Capture the current text so it can be compared against later
+  await save();
+  await renderHistoryList();
+  els.historyPanel.classList.add('open');
+  els.historyPanel.setAttribute('aria-hidden', 'false');
+  els.historyList.querySelector('.history-item')?.focus();
+}
+
+function closeHistoryPanel(returnFocus = false) {
+  els.historyPanel.classList.remove('open');
+  els.historyPanel.setAttribute('aria-hidden', 'true');
+  if (returnFocus) els.historyBtn?.focus();
+}
+
+els.historyBtn?.addEventListener('click', (e) => {
+  e.stopPropagation();
+  openHistoryPanel();
+});
+
+els.historyClose?.addEventListener('click', (e) => {
+  e.stopPropagation();
+  closeHistoryPanel(true);
+});
+
+els.historyList?.addEventListener('click', (e) => {
+  const item = e.target.closest('.history-item');
+  if (item) selectSnapshot(Number(item.dataset.id));
+});
+
+els.historyList?.addEventListener('keydown', (e) => {
+  const item = e.target.closest('.history-item');
+  if (item && (e.key === 'Enter' || e.key === ' ')) {
+    e.preventDefault();
+    selectSnapshot(Number(item.dataset.id));
+  }
+});
+
+els.historyPanel?.querySelectorAll('[data-view]').forEach((btn) => {
+  btn.addEventListener('click', () => {
+    historyState.view = btn.dataset.view;
+    els.historyPanel.querySelectorAll('[data-view]').forEach((b) => {
+      const on = b === btn;
+      b.classList.toggle('active', on);
+      b.setAttribute('aria-pressed', String(on));
+    });
+    if (historyState.selected) {
+      renderDiff(historyState.selected.text, editor.value, historyState.view);
+    }
+  });
+});
+
+els.historyCopyBtn?.addEventListener('click', async () => {
+  if (!historyState.selected) return;
+  try {
+    await navigator.clipboard.writeText(historyState.selected.text);
+    showToast('Copied ✓');
+  } catch (err) {
+    errorHandler.error(err, 'copy snapshot', { notify: true });
+  }
+});
+
+els.historyRestoreBtn?.addEventListener('click', async () => {
+  const snap = historyState.selected;
+  if (!snap) return;
+  if (
+    !confirm(
+      'Restore this snapshot?\n\nThe current text will be saved to history first.'
+    )
+  ) {
+    return;
+  }
+
+  await takeSnapshot('restore');
+  editor.value = snap.text;
+  // Restored words weren't typed, so don't count them toward today's stats
+  resetWordTracking();
+  updateAll();
+  await save(true);
+  closeHistoryPanel();
+});
+
+// ---------- Sprints ----------
+
+/**
+ * Picks up the sprint or Pomodoro cycle that was running when the page was
+ * closed or reloaded. Only the editing tab runs sprints, so a read-only tab
+ * leaves them alone, and so does any tab while the one that started them
+ * (the owner, which keeps its id across reloads) is still open.
+ */
+async function restoreSprint() {
+  if (!tabCoordinator.isEditable()) return;
+  const sprint = await storage.get(STORAGE_KEYS.activeSprint);
+  const cycle = await storage.get(STORAGE_KEYS.activePomodoro);
+  const owner = (cycle || sprint)?.owner;
+  if (
+    owner &&
+    owner !== tabCoordinator.getTabId() &&
+    (await tabCoordinator.isTabOpen(owner))
+  ) {
+    return;
+  }
+  if (cycle) pomodoro.restore(cycle, sprint);
+  else if (sprint) sprintManager.restore(sprint);
+}
+
+async function endSprint(userCancelled = false) {
+  appState.sprint.status = 'idle';
+  const wordsGained = Math.max(
+    0,
+    countWords(editor.value) - appState.sprint.startWords
+  );
+
+  if (!userCancelled && wordsGained > 0) {
+    await registerSprintResult(wordsGained);
+  }
+
+  // Reset sprint state variables
+  appState.sprint.startWords = 0;
+  appState.sprint.startTime = 0;
+
+  updateSprintButton('idle');
+  await updateSessionStats();
+}
+
+function pulseFooter() {
+  els.footerRight.animate(
+    [
+      { transform: 'scale(1)' },
+      { transform: 'scale(1.03)' },
+      { transform: 'scale(1)' },
+    ],
+    { duration: 800, iterations: 2 }
+  );
+}
+
+// ---------- Daily Streak Tracker ----------
+// A day counts toward the streak once its words reach the minimum. Missed
+// days are forgiven when they fall on a rest weekday or when a banked
+// freeze covers them; freezes are earned every `freezeEvery` counted days.
+const STREAK_RULE_DEFAULTS = {
+  minWords: 1,
+  restDays: [], // weekdays, 0 = Sunday
+  freezeEvery: 7,
+  maxFreezes: 2,
+};
+
+const STREAK_CALENDAR_WEEKS = 5;
+
+const STREAK_DAY_LABELS = {
+  counted: 'counted',
+  frozen: 'covered by a freeze',
+  rest: 'rest day',
+  short: 'below the daily minimum',
+  missed: 'missed',
+  pending: 'not counted yet',
+};
+
+function createStreak() {
+  return { count: 0, record: 0, lastDate: null, lastAt: null, freezes: 0 };
+}
+
+async function getStreakRules() {
+  const saved = await storage.get(STORAGE_KEYS.streakRules);
+  return { ...STREAK_RULE_DEFAULTS, ...saved };
+}
+
+/**
+ * Apply the rules to the days between the last counted day and `today`.
+ * Pure: returns an updated copy and the days a freeze was spent on.
+ * @param {Object} streak - { count, record, lastDate, lastAt, freezes }
+ * @param {Object} rules - Streak rules
+ * @param {string} today - Date stamp (exclusive end of the gap)
+ * @param {number} [now] - Timestamp, to spot days skipped by a time zone move
+ * @returns {{streak: Object, frozen: Array<string>}} count is 0 if broken
+ */
+function settleStreak(streak, rules, today, now = Date.now()) {
+  const next = { ...createStreak(), ...streak };
+  if (!next.lastDate || !next.count) return { streak: next, frozen: [] };
+
+  // Days in the gap that needed writing
+  const missed = [];
+  let day = toDateStamp(addDays(`${next.lastDate}T00:00`, 1));
+  while (day < today) {
+    const weekday = new Date(`${day}T00:00`).getDay();
+    if (!rules.restDays.includes(weekday)) missed.push(day);
+    day = toDateStamp(addDays(`${day}T00:00`, 1));
+  }
+  // Flying east can skip a calendar day in hours. Only days that could
+  // have passed since the last counted moment are missed (the extra hour
+  // allows for a short DST day).
+  if (next.lastAt) {
+    const passed = Math.floor((now - next.lastAt + HOUR_MS) / DAY_MS);
+    missed.splice(0, Math.max(0, missed.length - passed));
+  }
+
+  if (missed.length > next.freezes) {
+    // Too many to cover: the streak ends but the bank is kept
+    next.count = 0;
+    return { streak: next, frozen: [] };
+  }
+  next.freezes -= missed.length;
+  return { streak: next, frozen: missed };
+}
+
+function describeStreakRules(rules) {
+  const parts = [
+    rules.minWords > 1
+      ? `${rules.minWords.toLocaleString()} words a day`
+      : 'Any words count',
+  ];
+  if (rules.restDays.length) {
+    const names = rules.restDays
+      .slice()
+      .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+      .map((d) =>
+        new Date(2024, 0, 7 + d).toLocaleDateString(undefined, {
+          weekday: 'short',
+        })
+      );
+    parts.push(`rest on ${names.join(', ')}`);
+  }
+  if (rules.freezeEvery > 0 && rules.maxFreezes > 0) {
+    parts.push(`a freeze every ${rules.freezeEvery} days`);
+  }
+  return parts.join(' · ');
+}
+
+// The last few weeks, one cell per day, showing how each one was scored
+async function renderStreakCalendar(rules) {
+  if (!els.streakCalendar) return;
+
+  const today = getLocalDateStamp();
+  const first = addDays(
+    startOfWeek(`${today}T00:00`),
+    -7 * (STREAK_CALENDAR_WEEKS - 1)
+  );
+  const rows = await db.dailyStats
+    .where('date')
+    .aboveOrEqual(toDateStamp(first))
+    .toArray();
+  const byDate = new Map(rows.map((row) => [row.date, row]));
+
+  const cells = [];
+  for (let i = 0; i < STREAK_CALENDAR_WEEKS * 7; i++) {
+    const date = addDays(first, i);
+    const stamp = toDateStamp(date);
+    const row = byDate.get(stamp);
+    const cell = document.createElement('span');
+    cell.className = 'streak-day';
+    cell.textContent = date.getDate();
+
+    let state = null;
+    if (stamp > today) state = null;
+    else if (row?.counted) state = 'counted';
+    else if (row?.frozen) state = 'frozen';
+    else if (stamp === today) state = 'pending';
+    else if (rules.restDays.includes(date.getDay())) state = 'rest';
+    else if (row?.words > 0) state = 'short';
+    else state = 'missed';
+
+    if (state) {
+      cell.dataset.state = state;
+      const label = date.toLocaleDateString(undefined, { dateStyle: 'medium' });
+      const words = (row?.words || 0).toLocaleString();
+      cell.title = `${label}: ${words} words, ${STREAK_DAY_LABELS[state]}`;
+    }
+    cell.classList.toggle('today', stamp === today);
+    cells.push(cell);
+  }
+  els.streakCalendar.replaceChildren(...cells);
+}
+
+async function updateStreakUI() {
+  // 1. READ ONLY: Use storage.get() to READ the committed data.
+  // The data has already been saved by updateAllStatsTransaction.
+  const [saved, rules] = await Promise.all([
+    storage.get(STORAGE_KEYS.streak),
+    getStreakRules(),
+  ]);
+  // Show a streak that has already lapsed as broken, without waiting for
+  // the next counted day to settle it
+  const { streak } = settleStreak(
+    saved || createStreak(),
+    rules,
+    getLocalDateStamp()
+  );
+
+  // 2. UI Update ONLY: Update the HTML elements with null checks
+  if (els.streakCount) els.streakCount.textContent = streak.count;
+  if (els.streakRecord)
+    els.streakRecord.textContent = `(Record: ${streak.record})`;
+  if (els.streakFreezes) {
+    els.streakFreezes.hidden = !streak.freezes;
+    els.streakFreezes.textContent = `❄️ ${streak.freezes}`;
+    els.streakFreezes.title = `${streak.freezes} streak freeze(s) banked`;
+  }
+  if (els.streakRules) els.streakRules.textContent = describeStreakRules(rules);
+  await renderStreakCalendar(rules);
+}
+
+// Reset with dramatic confirmation
+els.resetStreakBtn.addEventListener('click', async () => {
+  const messages = [
+    'Are you SURE you want to destroy your glorious writing streak?',
+    'The literary gods will weep...',
+    'Seriously though, reset? 🥺',
+  ];
+  const confirmReset = confirm(messages.join('\n'));
+  if (confirmReset) {
+    await storage.remove(STORAGE_KEYS.streak);
+    await updateStreakUI();
+  }
+});
+
+// ----- Streak rules dialog -----
+async function openStreakRulesDialog() {
+  const rules = await getStreakRules();
+  els.streakMinWords.value = rules.minWords;
+  els.streakFreezeEvery.value = rules.freezeEvery;
+  els.streakMaxFreezes.value = rules.maxFreezes;
+  els.streakRestDays.querySelectorAll('input').forEach((box) => {
+    box.checked = rules.restDays.includes(Number(box.value));
+  });
+  els.streakRulesError.hidden = true;
+  els.streakRulesDialog.showModal();
+}
+
+els.streakRulesBtn?.addEventListener('click', openStreakRulesDialog);
+
+els.streakRulesForm?.addEventListener('submit', async (e) => {
+  // Cancel just closes the dialog
+  if (e.submitter?.value !== 'save') return;
+  e.preventDefault();
+
+  const rules = {
+    minWords: parseInt(els.streakMinWords.value, 10),
+    restDays: [...els.streakRestDays.querySelectorAll('input:checked')].map(
+      (box) => Number(box.value)
+    ),
+    freezeEvery: parseInt(els.streakFreezeEvery.value, 10) || 0,
+    maxFreezes: parseInt(els.streakMaxFreezes.value, 10) || 0,
+  };
+
+  let error = '';
+  if (!(rules.minWords >= 1)) {
+    error = 'The daily minimum must be at least 1 word.';
+  } else if (rules.restDays.length === 7) {
+    error = 'Leave at least one writing day in the week.';
+  } else if (rules.freezeEvery < 0 || rules.maxFreezes < 0) {
+    error = 'Freeze settings can’t be negative.';
+  }
+  if (error) {
+    els.streakRulesError.textContent = error;
+    els.streakRulesError.hidden = false;
+    return;
+  }
+
+  await storage.set(STORAGE_KEYS.streakRules, rules);
+  els.streakRulesDialog.close();
+  tabCoordinator.post({ type: 'stats' });
+  await updateStreakUI();
+  showToast('Streak rules saved ✓');
+});
+
+// ---------- Appearance Controls ----------
+const fontSizeSlider = document.getElementById('fontSizeSlider');
+const fontStyleToggle = document.getElementById('fontStyleToggle');
+const APPEARANCE_KEY = STORAGE_KEYS.appearance;
+
+async function loadAppearance() {
+  // --- Use await storage.get() ---
+  const saved = (await storage.get(APPEARANCE_KEY)) || {};
+
+  // Migrate old shape { serif: boolean } → { sans: boolean }, default serif
+  const size = Number(saved.size) || 18;
+  const useSans =
+    typeof saved.sans === 'boolean'
+      ? saved.sans
+      : typeof saved.serif === 'boolean'
+      ? saved.serif /* old “active” meant sans */
+      : false;
+
+  document.documentElement.style.setProperty('--editor-font-size', `${size}px`);
+
+  // Apply: sans=true → body.sans, else → body.serif (default serif)
+  document.body.classList.toggle('sans', useSans);
+  document.body.classList.toggle('serif', !useSans);
+
+  // Sync control
+  fontSizeSlider.value = size;
+  fontStyleToggle.classList.toggle('active', useSans); // active = sans
+  fontStyleToggle.setAttribute('aria-checked', String(useSans));
+
+  // Persist normalized shape if needed
+  if ('serif' in saved || !('sans' in saved)) {
+    // --- NEW: Use await storage.set() ---
+    await storage.set(APPEARANCE_KEY, { size, sans: useSans });
+  }
+}
+
+async function saveAppearance() {
+  const size = Number(fontSizeSlider.value) || 18;
+  const useSans = fontStyleToggle.classList.contains('active'); // active = sans
+  // --- Use await storage.set() ---
+  await storage.set(APPEARANCE_KEY, { size, sans: useSans });
+}
+
+fontSizeSlider.addEventListener('input', async (e) => {
+  const size = e.target.value;
+  document.documentElement.style.setProperty('--editor-font-size', `${size}px`);
+  await saveAppearance();
+});
+
+fontSizeSlider.addEventListener('dblclick', async () => {
+  fontSizeSlider.value = 18; // 🎯 baseline size
+  document.documentElement.style.setProperty('--editor-font-size', '18px');
+  await saveAppearance();
+});
 
-  incGoalNew: document.getElementById('incGoalNew'),
-  decGoalNew: document.getElementById('decGoalNew'),
-};
+fontStyleToggle.addEventListener('click', async () => {
+  const useSans = fontStyleToggle.classList.toggle('active');
+  document.body.classList.toggle('sans', useSans);
+  document.body.classList.toggle('serif', !useSans);
+  fontStyleToggle.setAttribute('aria-checked', useSans);
+  await saveAppearance();
+});
+
+fontStyleToggle.addEventListener('keydown', async (e) => {
+  if (e.key === ' ' || e.key === 'Enter') {
+    e.preventDefault();
+    const useSans = fontStyleToggle.classList.toggle('active'); // active = sans
+    document.body.classList.toggle('sans', useSans);
+    document.body.classList.toggle('serif', !useSans);
+    fontStyleToggle.setAttribute('aria-checked', String(useSans));
+    await saveAppearance();
+  }
+});
+
+loadAppearance();
+
+// ---------- Sprint Complete ----------
+function showSprintComplete() {
+  pulseFooter();
+
+  if (els.sprintBanner) {
+    els.sprintBanner.textContent = '⏱️ Sprint complete — nice work!';
+    els.sprintBanner.classList.remove('target-hit');
+    els.sprintBanner.classList.remove('hide');
+    els.sprintBanner.classList.add('show');
+    setTimeout(() => {
+      els.sprintBanner.classList.add('hide');
+      els.sprintBanner.classList.remove('show');
+    }, 4000);
+  }
 
-function countWords(text) {
-  // Word count: split on whitespace, only count tokens with letters or numbers
-  // This matches standard word processor behavior (Word, Pages, Google Docs)
-  const arr = text.trim().split(/\s+/);
-  // Only count tokens containing at least one letter or digit (Unicode-aware)
-  return arr.filter(token => /[\p{L}\p{N}]/u.test(token)).length;
+  if (els.chime) {
+    els.chime.currentTime = 0;
+    els.chime.play().catch(() => {});
+  }
 }
 
-/**
- * Generates a date stamp (YYYY-MM-DD) based on the user's local time zone.
- * This prevents the "ahead of time" issue caused by using UTC.
- * @returns {string} The local date stamp (e.g., "2025-11-20").
- */
-function getLocalExportStamp() {
-  const now = new Date();
-  const year = now.getFullYear();
-  // Month is 0-indexed, so add 1
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+// A stopped stopwatch: how long, how many words and how fast. No bell,
+// since the writer ended it.
+function showStopwatchSummary(words, activeMs) {
+  pulseFooter();
+
+  if (els.sprintBanner) {
+    const minutes = activeMs / 60_000;
+    const mm = String(Math.floor(minutes)).padStart(2, '0');
+    const ss = String(Math.floor((activeMs % 60_000) / 1000)).padStart(2, '0');
+    const wpm = minutes > 0 ? Math.round(words / minutes) : 0;
+    els.sprintBanner.textContent = `⏱️ ${mm}:${ss} · ${words.toLocaleString()} words · ${wpm} WPM`;
+    els.sprintBanner.classList.remove('target-hit');
+    els.sprintBanner.classList.remove('hide');
+    els.sprintBanner.classList.add('show');
+    setTimeout(() => {
+      els.sprintBanner.classList.add('hide');
+      els.sprintBanner.classList.remove('show');
+    }, 6000);
+  }
 }
 
-// YYYY-MM-DD for the user's local day (midnight)
-function getLocalDateStamp() {
-  const d = new Date();
-  d.setHours(0, 0, 0, 0);
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${y}-${m}-${day}`;
+// A sprint's word target reached before the time ran out: confetti and a
+// gold banner, no bell (that's for the end of the sprint)
+function showSprintTargetHit(target, leftMs) {
+  burstConfetti();
+  els.sprintPill?.classList.add('target-hit');
+  setTimeout(() => els.sprintPill?.classList.remove('target-hit'), 2000);
+
+  if (els.sprintBanner) {
+    const mm = Math.floor(leftMs / 60_000);
+    const ss = String(Math.floor((leftMs % 60_000) / 1000)).padStart(2, '0');
+    const words = target.toLocaleString();
+    els.sprintBanner.textContent = `🎯 ${words} words with ${mm}:${ss} to spare!`;
+    els.sprintBanner.classList.add('target-hit');
+    els.sprintBanner.classList.remove('hide');
+    els.sprintBanner.classList.add('show');
+    setTimeout(() => {
+      els.sprintBanner.classList.add('hide');
+      els.sprintBanner.classList.remove('show');
+    }, 4000);
+  }
 }
 
-// ---------- State ----------
-const appState = {
-  // Typing tracker state
-  typing: {
-    burstTimer: null,
-    startTimestamp: null,
-    totalTime: 0,
-    date: new Date().toDateString(),
-  },
+// ---------- Focus Mode ----------
+
+function toggleFocus() {
+  appState.focus = !appState.focus;
+
+  document.body.classList.toggle('focus-mode', appState.focus);
+
+  // Hide or show header/footer
+  document.querySelector('.header').style.display = appState.focus
+    ? 'none'
+    : '';
+  document.querySelector('.footer').style.display = appState.focus
+    ? 'none'
+    : '';
+
+  // Keep About panel accessible in focus mode
+  document.body.classList.toggle(
+    'about-open',
+    els.aboutPanel?.classList.contains('open')
+  );
+
+  // Show or hide the floating exit button
+  const exitBtn = document.getElementById('exitFocus');
+  if (exitBtn) {
+    if (appState.focus) {
+      exitBtn.classList.add('show');
+    } else {
+      exitBtn.classList.remove('show');
+    }
+  }
+}
+
+// ---------- Export / Import ----------
+function exportTxt() {
+  const blob = new Blob([editor.value], { type: 'text/plain' });
+  const a = document.createElement('a');
+  const stamp = getLocalExportStamp();
+  a.href = URL.createObjectURL(blob);
+  a.download = `writing-${stamp}.txt`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+async function exportDocx() {
+  if (!window.docx || !window.docx.Packer) {
+    errorHandler.warn('docx library not loaded', 'exportDocx', {
+      notify: true,
+    });
+    return;
+  }
+
+  let objectUrl = null;
+
+  try {
+    const { Document, Packer, Paragraph, TextRun } = window.docx;
+
+    const paragraphs = editor.value.split(/\n/g).map(
+      (line) =>
+        new Paragraph({
+          children: [new TextRun(line)],
+        })
+    );
+
+    const doc = new Document({
+      sections: [{ children: paragraphs }],
+    });
+
+    const blob = await Packer.toBlob(doc);
+    const stamp = getLocalExportStamp();
+
+    const a = document.createElement('a');
+    objectUrl = URL.createObjectURL(blob);
+    a.href = objectUrl;
+    a.download = `writing-${stamp}.docx`;
+    a.click();
+  } catch (err) {
+    errorHandler.error(err, 'exportDocx', { notify: true });
+  } finally {
+    if (objectUrl) {
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 100);
+    }
+  }
+}
+
+function exportMarkdown() {
+  let md = editor.value;
+
+  // Simple conversions: double newlines become section breaks
+  md = md.replace(/\r?\n\r?\n/g, '\n\n');
+
+  const blob = new Blob([md], { type: 'text/markdown' });
+  const a = document.createElement('a');
+  const stamp = getLocalExportStamp();
+  a.href = URL.createObjectURL(blob);
+  a.download = `writing-${stamp}.md`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+// ---------- Stats Export ----------
+// Daily rows and sprint rows for spreadsheets (CSV) or scripts (JSON)
+
+// Minutes to one decimal place
+const toMinutes = (ms) => Math.round((ms || 0) / 6000) / 10;
+
+// [JSON key, CSV header, value]
+const STATS_DAY_COLUMNS = [
+  ['date', 'date', (row) => row.date],
+  ['words', 'words', (row) => row.words || 0],
+  ['deleted', 'words deleted', (row) => row.deleted || 0],
+  ['net', 'net words', (row) => (row.words || 0) - (row.deleted || 0)],
+  ['minutes', 'minutes', (row) => toMinutes(row.typingMs)],
+  ['sprints', 'sprints', (row) => row.sprints || 0],
+  ['bestSprint', 'best sprint', (row) => row.bestSprint || 0],
+  ['goal', 'goal', (row) => row.goal ?? null],
+  ['goalUnit', 'goal unit', (row) => row.goalUnit ?? null],
+  ['goalMet', 'goal met', (row) => !!row.goalMet],
+  ['dailyGoal', 'daily goal', (row) => row.dailyGoal ?? null],
+  ['dailyGoalMet', 'daily goal met', (row) => !!row.dailyGoalMet],
+  ['streakDay', 'streak day', (row) => !!row.counted],
+  ['freezeUsed', 'freeze used', (row) => !!row.frozen],
+];
+
+const STATS_SPRINT_COLUMNS = [
+  ['date', 'date', (s) => s.date],
+  ['started', 'started', (s) => formatLocalDateTime(s.startedAt)],
+  ['ended', 'ended', (s) => formatLocalDateTime(s.endedAt)],
+  ['document', 'document', (s) => s.document],
+  [
+    'plannedMinutes',
+    'planned minutes',
+    (s) => (s.plannedMs == null ? null : toMinutes(s.plannedMs)),
+  ],
+  ['actualMinutes', 'actual minutes', (s) => toMinutes(s.actualMs)],
+  ['pausedSeconds', 'paused seconds', (s) => Math.round(s.pausedMs / 1000)],
+  ['startWords', 'start words', (s) => s.startWords],
+  ['endWords', 'end words', (s) => s.endWords],
+  ['words', 'words', (s) => s.words],
+  ['added', 'words added', (s) => s.added ?? null],
+  ['deleted', 'words deleted', (s) => s.deleted ?? null],
+  ['wpm', 'wpm', (s) => Math.round(sprintWpm(s))],
+  ['target', 'target', (s) => s.target ?? null],
+  ['targetHit', 'target hit', (s) => !!s.targetHit],
+  ['mode', 'mode', (s) => s.mode || 'countdown'],
+  ['outcome', 'outcome', (s) => s.outcome],
+];
+
+// "YYYY-MM-DD HH:MM" in local time, which spreadsheets parse as a date
+function formatLocalDateTime(time) {
+  const d = new Date(time);
+  const hh = String(d.getHours()).padStart(2, '0');
+  const mm = String(d.getMinutes()).padStart(2, '0');
+  return `${toDateStamp(d)} ${hh}:${mm}`;
+}
+
+function toCsv(columns, rows) {
+  const cell = (value) => {
+    let text = String(value ?? '');
+    // A title like "=SUM(…)" would run as a formula in a spreadsheet
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.map(([, header]) => cell(header)).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map(([, , read]) => cell(read(row))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+function downloadFile(content, type, filename) {
+  const blob = new Blob([content], { type });
+  const a = document.createElement('a');
+  const objectUrl = URL.createObjectURL(blob);
+  a.href = objectUrl;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(objectUrl), 100);
+}
+
+/**
+ * Collect every day and every sprint, oldest first
+ * @returns {Promise<{days: Array<Object>, sprints: Array<Object>}>}
+ */
+async function collectStats() {
+  const [days, sprints, documents] = await Promise.all([
+    db.dailyStats.orderBy('date').toArray(),
+    db.sprints.orderBy('startedAt').toArray(),
+    documentLibrary.list(),
+  ]);
+  const titles = new Map(documents.map((doc) => [doc.id, doc.title]));
+  return {
+    days,
+    sprints: sprints.map((s) => ({
+      ...s,
+      document: titles.get(s.docId) ?? '',
+    })),
+  };
+}
+
+/**
+ * Download the stats as CSV (days or sprints, one file each, since
+ * browsers often block a second download from one click) or JSON
+ * @param {string} format - 'days-csv', 'sprints-csv' or 'json'
+ */
+async function exportStats(format) {
+  try {
+    const { days, sprints } = await collectStats();
+    const stamp = getLocalExportStamp();
 
-  // General app state
-  startTime: Date.now(),
-  lastSavedAt: 0,
-  lastToastAt: 0,
-  lastWordCount: countWords(editor.value),
-  peakWordCount: 0,
-  lastSyncedWords: 0,
-  focus: false,
-  wasGoalComplete: false,
-};
+    if (format === 'days-csv') {
+      downloadFile(
+        toCsv(STATS_DAY_COLUMNS, days),
+        'text/csv',
+        `minwrite-daily-stats-${stamp}.csv`
+      );
+      return;
+    }
+    if (format === 'sprints-csv') {
+      downloadFile(
+        toCsv(STATS_SPRINT_COLUMNS, sprints),
+        'text/csv',
+        `minwrite-sprints-${stamp}.csv`
+      );
+      return;
+    }
 
-// Helper: reset if day changed
-async function resetTypingTimeIfNewDay() {
-  // <-- ADD async
-  const today = new Date().toDateString();
-  if (today !== appState.typing.date) {
-    appState.typing.date = today;
-    appState.typing.totalTime = 0;
-    // --- NEW: Use storage.set() ---
-    await storage.set('wt:typingTime', {
-      // <-- Use await storage.set
-      date: appState.typing.date,
-      time: appState.typing.totalTime,
-    });
+    // JSON carries the same fields as the CSV columns
+    const toObjects = (columns, rows) =>
+      rows.map((row) =>
+        Object.fromEntries(columns.map(([key, , read]) => [key, read(row)]))
+      );
+    const streak = (await storage.get(STORAGE_KEYS.streak)) || createStreak();
+    const stats = {
+      app: BACKUP_APP_ID,
+      exportedAt: new Date().toISOString(),
+      streak: {
+        count: streak.count,
+        record: streak.record,
+        freezes: streak.freezes || 0,
+      },
+      days: toObjects(STATS_DAY_COLUMNS, days),
+      sprints: toObjects(STATS_SPRINT_COLUMNS, sprints),
+    };
+    downloadFile(
+      JSON.stringify(stats, null, 2),
+      'application/json',
+      `minwrite-stats-${stamp}.json`
+    );
+  } catch (err) {
+    errorHandler.error(err, 'exportStats', { notify: true });
   }
 }
 
-// ---------- Theme ----------
-async function applyTheme(dark) {
-  document.body.classList.toggle('dark', !!dark);
-  themeToggle.classList.toggle('active', !!dark);
-  themeToggle.setAttribute('aria-checked', !!dark);
-  // --- NEW: Use storage.set() ---
-  await storage.set(STORAGE_KEYS.theme, dark ? 'dark' : 'light');
-}
+// ---------- Import Any Text-Based Format ----------
+async function importFileHandler(file) {
+  if (!file || !requireEditableTab()) return;
 
-// (Theme is initialized inside loadState())
+  const fileName = file.name || '';
+  const ext = fileName.toLowerCase().split('.').pop();
 
-// Toggle on click
-themeToggle.addEventListener('click', () => {
-  const isDark = document.body.classList.contains('dark');
-  applyTheme(!isDark);
-});
+  let formattingWarning = '';
 
-// Keyboard support for theme toggle
-themeToggle.addEventListener('keydown', (e) => {
-  if (e.key === ' ' || e.key === 'Enter') {
-    e.preventDefault();
-    const isDark = document.body.classList.contains('dark');
-    applyTheme(!isDark);
+  if (ext === 'docx') {
+    formattingWarning =
+      '\n\nNote: All formatting (bold, italics, headings, lists, images) will be removed.';
+  } else if (ext === 'md') {
+    formattingWarning = '\n\nMarkdown syntax will be preserved.';
+  } else if (!['txt', 'docx', 'md'].includes(ext)) {
+    formattingWarning = '\n\nFile type is unusual. Formatting may be lost.';
   }
-});
 
-async function loadState() {
-  try {
-    const savedText = await storage.get(STORAGE_KEYS.text);
-    const savedGoal = await storage.get(STORAGE_KEYS.goal);
-    const savedTheme = await storage.get(STORAGE_KEYS.theme);
+  if (editor.value.trim().length > 0) {
+    const proceed = confirm(
+      `Importing will overwrite the current text.${formattingWarning}\n\nContinue?`
+    );
+    if (!proceed) return;
+  }
 
-    if (savedText != null) editor.value = savedText;
-    if (savedGoal != null) goalInput.value = parseInt(savedGoal, 10) || 1000;
+  // Keep the outgoing text in version history
+  await takeSnapshot('import');
 
-    await applyTheme(savedTheme === 'dark');
-    // Set peak before updateAll to prevent false word counts
-    appState.peakWordCount = countWords(editor.value);
-    appState.lastWordCount = countWords(editor.value);
-    appState.lastSyncedWords = countWords(editor.value);
-    updateAll();
-  } catch (err) {
-    errorHandler.error(err, 'loadState', { notify: false });
-    // Continue with defaults
-    goalInput.value = 1000;
-    await applyTheme(false);
-    updateAll();
+  // ----- TXT + MD -----
+  if (ext === 'txt' || ext === 'md') {
+    try {
+      const text = await file.text();
+      editor.value = text;
+      // Imported words weren't typed, so don't count them toward today's stats
+      resetWordTracking();
+      updateAll();
+      save();
+    } catch (err) {
+      errorHandler.error(err, 'importText', { notify: true });
+    }
+    return;
   }
-}
 
-// ---------- Progress + Stats ----------
-function updateAll() {
-  // sanitize goal: force number, clamp between 1 and 999999
-  let goal = parseInt(goalInput.value, 10);
-  if (isNaN(goal) || goal < 1) goal = 1;
-  if (goal > 999999) goal = 999999;
+  // ----- DOCX -----
+  if (ext === 'docx') {
+    if (
+      !window.mammoth ||
+      typeof window.mammoth.extractRawText !== 'function'
+    ) {
+      errorHandler.warn('mammoth library not loaded', 'importDocx', {
+        notify: true,
+      });
+      return;
+    }
 
-  // Calculate all values first (no DOM access)
-  const words = countWords(editor.value);
-  const remaining = Math.max(0, goal - words);
-  const pct = Math.min(100, Math.floor((words / goal) * 100));
-  const CIRC = 2 * Math.PI * RING_RADIUS;
-  const offset = CIRC * (1 - pct / 100);
-  const isGoalComplete = pct >= 100;
+    try {
+      const arrayBuffer = await file.arrayBuffer();
+      const result = await window.mammoth.extractRawText({ arrayBuffer });
+      editor.value = result.value || '';
+      resetWordTracking();
+      updateAll();
+      save();
+    } catch (err) {
+      errorHandler.error(err, 'importDocx', { notify: true });
+    }
+    return;
+  }
 
-  // Batch all DOM updates in a single animation frame
-  requestAnimationFrame(() => {
-    // Update input and text elements
-    goalInput.value = goal;
-    if (goalDisplay) goalDisplay.textContent = goal.toLocaleString();
-    if (wordsEl) wordsEl.textContent = words.toLocaleString();
-    if (remainingEl) remainingEl.textContent = remaining.toLocaleString();
+  // Final fallback for truly unsupported files
+  errorHandler.warn('Unsupported file type', 'import', { notify: true });
+}
 
-    // Update progress bar and ring
-    if (bar) bar.style.width = pct + '%';
+// ---------- Linked Files ----------
+// "Open file…" / "Save to file…" keep the document tied to a file on disk.
+// Without the File System Access API they fall back to import / download.
+function renderFileLink() {
+  const name = fileLink.getName();
+  const status = fileLink.getStatus();
 
-    if (ring) {
-      ring.setAttribute('stroke-dasharray', CIRC.toFixed(1));
-      ring.setAttribute('stroke-dashoffset', offset.toFixed(1));
-    }
+  if (els.fileLinkStatus) {
+    els.fileLinkStatus.hidden = !name;
+    els.fileLinkName.textContent = name || '';
+  }
+  if (!els.fileBanner) return;
+
+  // Only the editing tab writes to the file, so only it is asked
+  const needsAttention = status === 'permission' || status === 'conflict';
+  els.fileBanner.hidden = !needsAttention || !tabCoordinator.isEditable();
+  els.fileBannerText.textContent =
+    status === 'conflict'
+      ? `“${name}” was changed outside MinWrite. Which version do you want?`
+      : `MinWrite needs your permission to keep saving to “${name}”.`;
+  els.fileReconnectBtn.hidden = status !== 'permission';
+  els.fileLoadBtn.hidden = status !== 'conflict';
+  els.fileOverwriteBtn.hidden = status !== 'conflict';
+}
 
-    if (ringLabel) ringLabel.textContent = pct + '%';
+async function attachLinkedFile(docId) {
+  try {
+    await fileLink.attach(docId);
+  } catch (err) {
+    // The file was moved or deleted: keep the link so the banner can say so
+    errorHandler.warn(err, 'linkedFile');
+  }
+  renderFileLink();
+}
 
-    // Toggle ring completion styling
-    if (els.ringSvg) {
-      els.ringSvg.classList.toggle('complete', isGoalComplete);
+// Called on every save: push the text to the linked file, if any
+async function syncLinkedFile(text) {
+  if (!fileLink.getName()) return;
+  try {
+    await fileLink.write(text);
+  } catch (err) {
+    errorHandler.warn(err, 'linked file', { notify: true });
+  }
+  renderFileLink();
+}
+
+async function saveToFile() {
+  const doc = documentLibrary.getActive();
+  if (!fileLink.isSupported() || !doc) {
+    exportMarkdown();
+    return;
+  }
+
+  try {
+    await save();
+    const name = `${doc.title || 'writing'}.md`;
+    if (await fileLink.saveAs(doc.id, name, editor.value)) {
+      showToast(`Saving to “${fileLink.getName()}” ✓`);
+      await renderDocumentList();
     }
+  } catch (err) {
+    errorHandler.error(err, 'saveToFile', { notify: true });
+  }
+  renderFileLink();
+}
 
-    // Update document title
-    document.title = `✍️ ${words}/${goal} — Writing Goal Tracker`;
-    // Update focus mode footer if visible
-    if (els.focusWords) els.focusWords.textContent = words.toLocaleString();
-    if (els.focusGoal) els.focusGoal.textContent = goal.toLocaleString();
-    if (els.focusPercent) els.focusPercent.textContent = pct;
-    if (els.focusBar) els.focusBar.style.width = pct + '%';
+async function openLinkedFile() {
+  if (!fileLink.isSupported()) {
+    els.importFile.click();
+    return;
+  }
 
-    // Handle celebration - This section replaces the old toggle/trigger.
-    const isNewCompletion = isGoalComplete && !appState.wasGoalComplete;
+  try {
+    const picked = await fileLink.pick();
+    if (!picked) return;
+    // Ask for write access while we still have the click
+    await picked.handle.requestPermission?.({ mode: 'readwrite' });
+    await save();
 
-    if (isNewCompletion) {
-      showCelebrate();
+    // Already linked to a document? Open that one instead of a copy
+    for (const existing of await db.fileLinks.toArray()) {
+      if (await existing.handle.isSameEntry(picked.handle)) {
+        await switchDocument(existing.docId);
+        return;
+      }
     }
 
-    // Update state for the next input event
-    appState.wasGoalComplete = isGoalComplete;
-  });
+    const title = picked.file.name.replace(/\.(md|markdown|txt)$/i, '');
+    const doc = await documentLibrary.create(title, await picked.file.text());
+    if (!doc) return;
+    await fileLink.link(doc.id, picked.handle);
+    showDocument(doc);
+    await announceDocumentChange();
+  } catch (err) {
+    errorHandler.error(err, 'openFile', { notify: true });
+  }
 }
 
-// Debounced version for use during rapid typing (16ms ≈ 60fps)
-const debouncedUpdateAll = debounce(updateAll, 16);
+els.fileReconnectBtn?.addEventListener('click', async () => {
+  try {
+    if (await fileLink.reconnect()) await syncLinkedFile(editor.value);
+  } catch (err) {
+    errorHandler.warn(err, 'linkedFile', { notify: true });
+  }
+  renderFileLink();
+});
 
-// Debounced stats update to stay in sync with display
-const debouncedStatsUpdate = debounce(() => {
-  const currentWords = countWords(editor.value);
-  const wordsGained = Math.max(0, currentWords - appState.lastSyncedWords);
-  if (wordsGained > 0) {
-    appState.lastSyncedWords = currentWords;
-    updateAllStatsTransaction(wordsGained).then(() => {
-      updateSessionStats();
-      updateStreakUI();
-    });
+els.fileLoadBtn?.addEventListener('click', async () => {
+  try {
+    // Keep MinWrite's version in history before taking the file's
+    await takeSnapshot('file');
+    editor.value = await fileLink.read();
+    resetWordTracking();
+    updateAll();
+    await save();
+  } catch (err) {
+    errorHandler.error(err, 'linkedFile', { notify: true });
   }
-}, 16);
+  renderFileLink();
+});
 
-// ---------- Celebrate ----------
-function showCelebrate() {
-  // Select a random message from the array
-  const message =
-    CELEBRATION_MESSAGES[
-      Math.floor(Math.random() * CELEBRATION_MESSAGES.length)
-    ];
+els.fileOverwriteBtn?.addEventListener('click', async () => {
+  try {
+    await fileLink.write(editor.value, true);
+  } catch (err) {
+    errorHandler.error(err, 'linkedFile', { notify: true });
+  }
+  renderFileLink();
+});
 
-  // Update the banner's content (NO EMOJI in the text now, CSS handles it)
-  celebrate.innerHTML = message;
+els.fileUnlinkBtn?.addEventListener('click', async () => {
+  const name = fileLink.getName();
+  if (!confirm(`Stop saving to “${name}”?\n\nThe file itself is kept.`)) {
+    return;
+  }
+  await fileLink.unlink();
+  renderFileLink();
+  await renderDocumentList();
+});
 
-  celebrate.classList.add('show');
-  burstConfetti();
+// ---------- Full Backup / Restore ----------
+// A backup is one JSON file holding every row of every Dexie table:
+// { app, format, schemaVersion, exportedAt, tables: { documents: [...], ... } }
+const BACKUP_APP_ID = 'MinWrite';
+const BACKUP_FORMAT_VERSION = 1;
+// Tables tied to this device (file handles don't survive JSON)
+const BACKUP_SKIPPED_TABLES = ['fileLinks'];
+
+// Friendly names for the summary shown before restoring
+const BACKUP_SETTING_LABELS = {
+  [STORAGE_KEYS.streak]: 'Daily streak',
+  [STORAGE_KEYS.streakRules]: 'Streak rules',
+  [STORAGE_KEYS.appearance]: 'Appearance settings',
+  [STORAGE_KEYS.theme]: 'Theme',
+};
 
-  // Trigger ring celebration glow
-  if (els.ringSvg) {
-    els.ringSvg.classList.add('celebrating');
+async function exportBackup() {
+  if (
+    vault.isEnabled() &&
+    !confirm(
+      'Backups are not encrypted.\n\nAnyone who can open the file can read ' +
+        'your writing. Keep it somewhere safe. Continue?'
+    )
+  ) {
+    return;
   }
 
-  // Schedule the removal after 3 seconds
-  setTimeout(() => {
-    celebrate.classList.remove('show');
+  let objectUrl = null;
 
-    // Fade ring back to green complete state
-    if (els.ringSvg) {
-      els.ringSvg.classList.remove('celebrating');
+  try {
+    // Backups are portable plain text; the passphrase never travels
+    const tables = {};
+    for (const table of db.tables) {
+      if (BACKUP_SKIPPED_TABLES.includes(table.name)) continue;
+      const rows = await vault.openRows(table.name, await table.toArray());
+      tables[table.name] =
+        table.name === 'settings'
+          ? rows.filter((row) => row.key !== STORAGE_KEYS.vault)
+          : rows;
     }
-  }, 3000);
-}
 
-function burstConfetti() {
-  try {
-    for (let i = 0; i < 40; i++) createConfetto(i);
+    const backup = {
+      app: BACKUP_APP_ID,
+      format: BACKUP_FORMAT_VERSION,
+      schemaVersion: db.verno,
+      exportedAt: new Date().toISOString(),
+      tables,
+    };
+
+    const blob = new Blob([JSON.stringify(backup, null, 2)], {
+      type: 'application/json',
+    });
+    const a = document.createElement('a');
+    objectUrl = URL.createObjectURL(blob);
+    a.href = objectUrl;
+    a.download = `minwrite-backup-${getLocalExportStamp()}.json`;
+    a.click();
   } catch (err) {
-    errorHandler.info(err, 'confetti', { silent: true });
+    errorHandler.error(err, 'exportBackup', { notify: true });
+  } finally {
+    if (objectUrl) {
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 100);
+    }
   }
+}
 
-  function createConfetto(index) {
-    const isDark = document.body.classList.contains('dark');
-    const palette = isDark ? CONFETTI_PALETTES.dark : CONFETTI_PALETTES.light;
+/**
+ * Check that parsed JSON looks like a MinWrite backup this version can read.
+ * @param {*} data - Parsed backup file
+ * @returns {string|null} An error message, or null if the backup is valid
+ */
+function validateBackup(data) {
+  if (!data || typeof data !== 'object' || data.app !== BACKUP_APP_ID) {
+    return 'This file is not a MinWrite backup.';
+  }
+  if (!Number.isInteger(data.format) || data.format > BACKUP_FORMAT_VERSION) {
+    return 'This backup was made by a newer version of MinWrite.';
+  }
+  if (!data.tables || typeof data.tables !== 'object') {
+    return 'The backup has no data.';
+  }
 
-    // 20% warm (gold) for brand cohesion with celebration banner
-    const useWarm = index % 5 === 0;
-    const colorPool = useWarm ? palette.warm : palette.cool;
-    const color = colorPool[Math.floor(Math.random() * colorPool.length)];
+  for (const [name, rows] of Object.entries(data.tables)) {
+    if (!Array.isArray(rows) || rows.some((r) => !r || typeof r !== 'object')) {
+      return `The backup's "${name}" data is damaged.`;
+    }
+  }
 
-    const c = document.createElement('div');
-    c.className = 'confetti';
-    c.style.left = Math.random() * 100 + 'vw';
-    c.style.background = color;
-    c.style.transform = `rotate(${Math.random() * 360}deg)`;
-    document.body.appendChild(c);
+  const keyed = [
+    ...(data.tables.content || []),
+    ...(data.tables.settings || []),
+  ];
+  if (keyed.some((row) => typeof row.key !== 'string')) {
+    return 'The backup contains settings without a key.';
+  }
+
+  const days = data.tables.dailyStats || [];
+  if (days.some((row) => typeof row.date !== 'string')) {
+    return 'The backup contains stats without a date.';
+  }
 
-    const fall = 800 + Math.random() * 900;
-    const drift = Math.random() * 40 - 20;
+  const documents = data.tables.documents || [];
+  if (documents.some((doc) => typeof doc.text !== 'string')) {
+    return 'The backup contains a document without text.';
+  }
 
-    try {
-      c.animate(
-        [
-          { transform: c.style.transform + ' translate(0,0)', opacity: 1 },
-          {
-            transform: `rotate(${
-              Math.random() * 360
-            }deg) translate(${drift}vw, 100vh)`,
-            opacity: 0.6,
-          },
-        ],
-        { duration: fall, easing: 'cubic-bezier(.2,.7,.2,1)', fill: 'forwards' }
-      );
-    } catch (animErr) {
-      errorHandler.info(animErr, 'confettiAnimation', { silent: true });
-    }
+  return null;
+}
 
-    setTimeout(() => {
-      try {
-        c.remove();
-      } catch (removeErr) {
-        // Element may have already been removed
-      }
-    }, fall + 100);
+/**
+ * Bring a backup made with an older schema up to the current table layout.
+ * Backups from before v4 carry the loose `content` store.
+ * @param {Object} data - A validated backup (modified in place)
+ * @returns {Object} The same backup
+ */
+function upgradeBackup(data) {
+  if (data.tables.content) {
+    const legacy = migrateLegacyContent(data.tables.content);
+    data.tables.settings = [...(data.tables.settings || []), ...legacy.settings];
+    data.tables.dailyStats = [
+      ...(data.tables.dailyStats || []),
+      ...legacy.dailyStats,
+    ];
+    delete data.tables.content;
   }
+  return data;
 }
 
-// ---------- Persistence ----------
+function describeBackup(data) {
+  const lines = [];
+  const documents = data.tables.documents || [];
+  const snapshots = data.tables.snapshots || [];
+  const days = data.tables.dailyStats || [];
+  const sprints = data.tables.sprints || [];
+  const settings = data.tables.settings || [];
+
+  if (documents.length) {
+    const words = documents.reduce(
+      (sum, doc) => sum + countWords(doc.text, doc.language),
+      0
+    );
+    lines.push(
+      `${documents.length} document(s), ${words.toLocaleString()} words in total`
+    );
+  }
+  if (snapshots.length) {
+    lines.push(`${snapshots.length} history snapshot(s)`);
+  }
+  if (days.length) {
+    lines.push(`${days.length} day(s) of writing stats`);
+  }
+  if (sprints.length) {
+    lines.push(`${sprints.length} sprint record(s)`);
+  }
+  settings.forEach((row) => {
+    if (BACKUP_SETTING_LABELS[row.key]) {
+      lines.push(BACKUP_SETTING_LABELS[row.key]);
+    }
+  });
 
-async function save(showToast = false) {
-  try {
-    await storage.set(STORAGE_KEYS.text, editor.value);
-    await storage.set(STORAGE_KEYS.goal, parseInt(goalInput.value, 10) || 1000);
-    appState.lastSavedAt = Date.now();
+  // Tables this version doesn't know about are skipped on restore
+  const known = db.tables.map((t) => t.name);
+  Object.keys(data.tables)
+    .filter((name) => !known.includes(name))
+    .forEach((name) => lines.push(`"${name}" (not supported, will be skipped)`));
 
-    if (showToast) {
-      showSaveToast();
-      appState.lastToastAt = Date.now();
-    }
-  } catch (err) {
-    errorHandler.error(err, 'save', { notify: true });
+  return lines;
+}
+
+/**
+ * Encrypt a backup's writing for this install (a no-op without a
+ * passphrase). Any passphrase settings in the file are dropped so they
+ * can't replace the current ones.
+ * @param {Object} data - A validated, upgraded backup
+ * @returns {Promise<Object>} The tables, ready to write
+ */
+async function sealBackupTables(data) {
+  const tables = {};
+  for (const [name, rows] of Object.entries(data.tables)) {
+    tables[name] =
+      name === 'settings'
+        ? rows.filter((row) => row.key !== STORAGE_KEYS.vault)
+        : await Promise.all(rows.map((row) => vault.sealRow(name, row)));
   }
+  return tables;
 }
 
-let saveInProgress = false;
+// Replace: wipe every table, then load the backup rows as-is
+// (keeping this install's passphrase, which the rows are encrypted with)
+async function replaceFromBackup(data) {
+  const tables = await sealBackupTables(data);
+  await db.transaction('rw', db.tables, async () => {
+    const vaultRow = await db.settings.get(STORAGE_KEYS.vault);
+    for (const table of db.tables) {
+      await table.clear();
+      const rows = tables[table.name];
+      if (rows?.length) await table.bulkPut(rows);
+    }
+    if (vaultRow) await db.settings.put(vaultRow);
+  });
+}
 
-async function throttledSave() {
-  if (saveInProgress) return;
+// Merge: backup documents and history are added next to the current ones,
+// settings and stats only fill in keys that don't exist here yet.
+async function mergeFromBackup(data) {
+  // Titles are compared in plain text but written encrypted; both happen
+  // outside the transaction because WebCrypto would end it early
+  const tables = await sealBackupTables(data);
+  const existingDocs = await vault.openRows(
+    'documents',
+    await db.documents.toArray()
+  );
 
-  if (Date.now() - appState.lastSavedAt > AUTOSAVE_INTERVAL_MS) {
-    saveInProgress = true;
+  await db.transaction('rw', db.tables, async () => {
+    const docIdMap = new Map();
 
-    try {
-      await save();
-      appState.lastSavedAt = Date.now();
+    // Documents: reuse a matching document (same title + creation time),
+    // keeping whichever copy was modified last
+    const backupDocs = data.tables.documents || [];
+    for (const [i, doc] of backupDocs.entries()) {
+      const { id: oldId, ...fields } = tables.documents[i];
+      const match = existingDocs.find(
+        (d) => d.createdAt === doc.createdAt && d.title === doc.title
+      );
 
-      if (Date.now() - appState.lastToastAt > TOAST_INTERVAL_MS) {
-        showSaveToast();
-        appState.lastToastAt = Date.now();
+      if (!match) {
+        docIdMap.set(oldId, await db.documents.add(fields));
+      } else {
+        if ((doc.updatedAt || 0) > (match.updatedAt || 0)) {
+          await db.documents.put({ ...fields, id: match.id });
+        }
+        docIdMap.set(oldId, match.id);
       }
-    } catch (err) {
-      errorHandler.warn(err, 'autosave', { silent: false });
-    } finally {
-      saveInProgress = false;
     }
-  }
-}
 
-function showSaveToast() {
-  const toast = document.getElementById('saveToast');
-  if (!toast) return;
-  toast.classList.add('show');
-  clearTimeout(toast._hideTimer);
-  toast._hideTimer = setTimeout(() => toast.classList.remove('show'), 1500);
+    for (const table of db.tables) {
+      if (table.name === 'documents') continue;
+      const rows = tables[table.name] || [];
+      const { keyPath, auto } = table.schema.primKey;
+
+      for (const row of rows) {
+        if (auto) {
+          // Auto-numbered rows (e.g. snapshots) are appended with new ids
+          const { [keyPath]: _oldKey, ...fields } = row;
+          if ('docId' in fields) {
+            if (!docIdMap.has(fields.docId)) continue;
+            fields.docId = docIdMap.get(fields.docId);
+          }
+          await table.add(fields);
+        } else if (!(await table.get(row[keyPath]))) {
+          await table.add(row);
+        }
+      }
+    }
+  });
 }
 
-// ---------- Sprints ----------
+async function restoreBackupFile(file) {
+  if (!file) return;
 
-async function endSprint(userCancelled = false) {
-  appState.sprint.status = 'idle';
-  const wordsGained = Math.max(
-    0,
-    countWords(editor.value) - appState.sprint.startWords
-  );
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (err) {
+    errorHandler.warn(err, 'restoreBackup');
+    alert('That file could not be read as a MinWrite backup.');
+    return;
+  }
 
-  if (!userCancelled && wordsGained > 0) {
-    await registerSprintResult(wordsGained);
+  const problem = validateBackup(data);
+  if (problem) {
+    alert(`Restore cancelled.\n\n${problem}`);
+    return;
   }
+  upgradeBackup(data);
+
+  const exportedAt = new Date(data.exportedAt);
+  els.restoreSummaryDate.textContent = isNaN(exportedAt)
+    ? 'an unknown date'
+    : exportedAt.toLocaleString();
+  els.restoreSummaryList.replaceChildren(
+    ...describeBackup(data).map((line) => {
+      const li = document.createElement('li');
+      li.textContent = line;
+      return li;
+    })
+  );
 
-  // Reset sprint state variables
-  appState.sprint.startWords = 0;
-  appState.sprint.startTime = 0;
+  els.restoreDialog.returnValue = '';
+  els.restoreDialog.showModal();
+  els.restoreDialog.addEventListener(
+    'close',
+    async () => {
+      const mode = els.restoreDialog.returnValue;
+      if (mode !== 'replace' && mode !== 'merge') return;
 
-  updateSprintButton('idle');
-  await updateSessionStats();
+      try {
+        // Make sure the open document is on disk before it gets merged/replaced
+        await save();
+        if (mode === 'replace') {
+          await replaceFromBackup(data);
+        } else {
+          await mergeFromBackup(data);
+        }
+        // Re-link the eviction marker to the restored install, then reload
+        // so every panel picks up the restored data
+        await checkForEviction();
+        location.reload();
+      } catch (err) {
+        errorHandler.critical(err, 'restoreBackup', { notify: true });
+      }
+    },
+    { once: true }
+  );
 }
 
-function pulseFooter() {
-  els.footerRight.animate(
-    [
-      { transform: 'scale(1)' },
-      { transform: 'scale(1.03)' },
-      { transform: 'scale(1)' },
-    ],
-    { duration: 800, iterations: 2 }
-  );
+// ---------- Storage Persistence & Eviction Detection ----------
+// Browsers may clear "best effort" site storage (Safari after ~7 days of
+// no visits). We ask for persistent storage, and keep a small marker in
+// localStorage that names the current IndexedDB install. If the marker
+// survives but the install id is gone, the database was wiped.
+const STORAGE_MARKER_KEY = 'minwrite:marker';
+
+function readStorageMarker() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_MARKER_KEY));
+  } catch (err) {
+    return null;
+  }
 }
 
-// ---------- Daily Streak Tracker ----------
-async function updateStreakUI() {
-  // 1. READ ONLY: Use storage.get() to READ the committed data.
-  // The data has already been saved by updateAllStatsTransaction.
-  const streak = (await storage.get('wt:streakData')) || {
-    count: 0,
-    record: 0,
-    lastDate: null,
-  };
+function writeStorageMarker(marker) {
+  try {
+    localStorage.setItem(STORAGE_MARKER_KEY, JSON.stringify(marker));
+  } catch (err) {
+    errorHandler.info(err, 'storageMarker', { silent: true });
+  }
+}
 
-  // 2. UI Update ONLY: Update the HTML elements with null checks
-  if (els.streakCount) els.streakCount.textContent = streak.count;
-  if (els.streakRecord)
-    els.streakRecord.textContent = `(Record: ${streak.record})`;
+// Refresh the marker with what a returning user would expect to find
+function updateStorageMarker() {
+  const marker = readStorageMarker();
+  if (!marker?.id) return;
+  const doc = documentLibrary.getActive();
+  writeStorageMarker({
+    ...marker,
+    lastSeen: Date.now(),
+    // Titles are private once a passphrase is set
+    title: vault.isEnabled() ? null : doc?.title || marker.title,
+    words: countWords(editor.value),
+  });
 }
 
-// Reset with dramatic confirmation
-els.resetStreakBtn.addEventListener('click', async () => {
-  const messages = [
-    'Are you SURE you want to destroy your glorious writing streak?',
-    'The literary gods will weep...',
-    'Seriously though, reset? 🥺',
-  ];
-  const confirmReset = confirm(messages.join('\n'));
-  if (confirmReset) {
-    await storage.remove('wt:streakData');
-    await updateStreakUI();
+/**
+ * Compare the localStorage marker with the install id kept in IndexedDB.
+ * Creates both on first run, and re-links them after a restore.
+ * @returns {Promise<Object|null>} The old marker if IndexedDB was wiped
+ */
+async function checkForEviction() {
+  const marker = readStorageMarker();
+  let installId = await storage.get(STORAGE_KEYS.installId);
+  const wiped = !!marker?.id && marker.id !== installId;
+
+  if (!installId) {
+    installId =
+      crypto.randomUUID?.() || `${Date.now()}-${Math.random().toString(36)}`;
+    await storage.set(STORAGE_KEYS.installId, installId);
   }
-});
+  writeStorageMarker({ ...(wiped ? {} : marker), id: installId });
 
-// ---------- Appearance Controls ----------
-const fontSizeSlider = document.getElementById('fontSizeSlider');
-const fontStyleToggle = document.getElementById('fontStyleToggle');
-const APPEARANCE_KEY = 'wt:appearance';
+  return wiped ? marker : null;
+}
 
-async function loadAppearance() {
-  // --- Use await storage.get() ---
-  const saved = (await storage.get(APPEARANCE_KEY)) || {};
+function showEvictionNotice(marker) {
+  if (!els.evictionBanner) return;
+
+  const lastSeen = marker.lastSeen
+    ? new Date(marker.lastSeen).toLocaleDateString(undefined, {
+        dateStyle: 'medium',
+      })
+    : 'your last visit';
+  const lost = marker.words
+    ? ` On ${lastSeen}, “${marker.title || 'your document'}” had ${Number(
+        marker.words
+      ).toLocaleString()} words.`
+    : '';
 
-  // Migrate old shape { serif: boolean } → { sans: boolean }, default serif
-  const size = Number(saved.size) || 18;
-  const useSans =
-    typeof saved.sans === 'boolean'
-      ? saved.sans
-      : typeof saved.serif === 'boolean'
-      ? saved.serif /* old “active” meant sans */
-      : false;
+  els.evictionDetail.textContent =
+    `Your browser cleared MinWrite's saved data since your last visit.${lost}` +
+    ' If you have a backup, restore it now.';
+  els.evictionBanner.hidden = false;
+}
 
-  document.documentElement.style.setProperty('--editor-font-size', `${size}px`);
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return '—';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let i = 0;
+  while (bytes >= 1024 && i < units.length - 1) {
+    bytes /= 1024;
+    i++;
+  }
+  return `${bytes.toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+}
 
-  // Apply: sans=true → body.sans, else → body.serif (default serif)
-  document.body.classList.toggle('sans', useSans);
-  document.body.classList.toggle('serif', !useSans);
+async function renderStorageStatus() {
+  if (!els.storagePersist) return;
 
-  // Sync control
-  fontSizeSlider.value = size;
-  fontStyleToggle.classList.toggle('active', useSans); // active = sans
-  fontStyleToggle.setAttribute('aria-checked', String(useSans));
+  if (!navigator.storage?.persisted) {
+    els.storagePersist.textContent = 'Not supported';
+    els.storagePersistBtn.hidden = true;
+    return;
+  }
 
-  // Persist normalized shape if needed
-  if ('serif' in saved || !('sans' in saved)) {
-    // --- NEW: Use await storage.set() ---
-    await storage.set(APPEARANCE_KEY, { size, sans: useSans });
+  try {
+    const persisted = await navigator.storage.persisted();
+    els.storagePersist.textContent = persisted
+      ? 'Persistent ✓'
+      : 'Best effort — may be cleared';
+    els.storagePersist.classList.toggle('warn', !persisted);
+    els.storagePersistBtn.hidden = persisted;
+
+    if (navigator.storage.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      els.storageUsage.textContent = `${formatBytes(usage)} of ${formatBytes(
+        quota
+      )}`;
+    }
+  } catch (err) {
+    errorHandler.warn(err, 'storageStatus');
   }
 }
 
-async function saveAppearance() {
-  const size = Number(fontSizeSlider.value) || 18;
-  const useSans = fontStyleToggle.classList.contains('active'); // active = sans
-  // --- Use await storage.set() ---
-  await storage.set(APPEARANCE_KEY, { size, sans: useSans });
+async function requestPersistentStorage() {
+  try {
+    if (navigator.storage?.persist && !(await navigator.storage.persisted())) {
+      await navigator.storage.persist();
+    }
+  } catch (err) {
+    errorHandler.warn(err, 'persistStorage');
+  }
+  await renderStorageStatus();
 }
 
-fontSizeSlider.addEventListener('input', async (e) => {
-  const size = e.target.value;
-  document.documentElement.style.setProperty('--editor-font-size', `${size}px`);
-  await saveAppearance();
-});
+els.storagePersistBtn?.addEventListener('click', requestPersistentStorage);
 
-fontSizeSlider.addEventListener('dblclick', async () => {
-  fontSizeSlider.value = 18; // 🎯 baseline size
-  document.documentElement.style.setProperty('--editor-font-size', '18px');
-  await saveAppearance();
+els.evictionRestoreBtn?.addEventListener('click', () => {
+  els.restoreFile?.click();
 });
 
-fontStyleToggle.addEventListener('click', async () => {
-  const useSans = fontStyleToggle.classList.toggle('active');
-  document.body.classList.toggle('sans', useSans);
-  document.body.classList.toggle('serif', !useSans);
-  fontStyleToggle.setAttribute('aria-checked', useSans);
-  await saveAppearance();
+els.evictionDismissBtn?.addEventListener('click', () => {
+  els.evictionBanner.hidden = true;
 });
 
-fontStyleToggle.addEventListener('keydown', async (e) => {
-  if (e.key === ' ' || e.key === 'Enter') {
-    e.preventDefault();
-    const useSans = fontStyleToggle.classList.toggle('active'); // active = sans
-    document.body.classList.toggle('sans', useSans);
-    document.body.classList.toggle('serif', !useSans);
-    fontStyleToggle.setAttribute('aria-checked', String(useSans));
-    await saveAppearance();
-  }
-});
+// ---------- Passphrase Lock ----------
+const AUTO_LOCK_MS = 15 * 60 * 1000;
+let lastActivityAt = Date.now();
+
+function renderLockStatus() {
+  if (!els.lockStatus) return;
+
+  const supported = vault.isSupported();
+  const enabled = vault.isEnabled();
+  els.lockStatus.textContent = !supported
+    ? 'Not supported'
+    : enabled
+      ? 'Encrypted ✓'
+      : 'Off';
+  els.lockSetBtn.hidden = !supported || enabled;
+  els.lockChangeBtn.hidden = !enabled;
+  els.lockNowBtn.hidden = !enabled;
+  els.lockRemoveBtn.hidden = !enabled;
+}
 
-loadAppearance();
+/**
+ * Cover the app with the unlock screen until the right passphrase is given
+ * @returns {Promise<void>} Resolves once unlocked
+ */
+function showLockScreen() {
+  const wrap = document.querySelector('.wrap');
+  if (wrap) wrap.inert = true;
+  els.lockScreen.hidden = false;
+  els.unlockError.hidden = true;
+  els.unlockInput.value = '';
+  els.unlockInput.focus();
+
+  return new Promise((resolve) => {
+    const onSubmit = async (e) => {
+      e.preventDefault();
+      els.unlockBtn.disabled = true;
+      els.unlockBtn.textContent = 'Unlocking…';
+
+      let ok = false;
+      try {
+        ok = await vault.unlock(els.unlockInput.value);
+      } catch (err) {
+        errorHandler.error(err, 'unlock');
+      } finally {
+        els.unlockBtn.disabled = false;
+        els.unlockBtn.textContent = 'Unlock';
+      }
 
-// ---------- Sprint Complete ----------
-function showSprintComplete() {
-  pulseFooter();
+      if (!ok) {
+        els.unlockError.textContent = 'That passphrase is not right.';
+        els.unlockError.hidden = false;
+        els.unlockInput.select();
+        return;
+      }
 
-  if (els.sprintBanner) {
-    els.sprintBanner.classList.remove('hide');
-    els.sprintBanner.classList.add('show');
-    setTimeout(() => {
-      els.sprintBanner.classList.add('hide');
-      els.sprintBanner.classList.remove('show');
-    }, 4000);
-  }
+      els.unlockForm.removeEventListener('submit', onSubmit);
+      els.unlockInput.value = '';
+      els.lockScreen.hidden = true;
+      if (wrap) wrap.inert = false;
+      resolve();
+    };
+    els.unlockForm.addEventListener('submit', onSubmit);
+  });
+}
 
-  if (els.chime) {
-    els.chime.currentTime = 0;
-    els.chime.play().catch(() => {});
-  }
+/**
+ * Save, forget the key and reload. The page comes back at the lock screen
+ * with no writing left in memory or on screen.
+ * @param {boolean} everywhere - Lock the other open tabs too
+ */
+async function lockApp(everywhere = false) {
+  if (!vault.isEnabled() || vault.isLocked()) return;
+  await save();
+  vault.lock();
+  if (everywhere) tabCoordinator.post({ type: 'lock' });
+  location.reload();
 }
 
-// ---------- Focus Mode ----------
+function checkAutoLock() {
+  if (Date.now() - lastActivityAt >= AUTO_LOCK_MS) lockApp();
+}
+
+['keydown', 'pointerdown', 'input'].forEach((type) => {
+  document.addEventListener(
+    type,
+    () => {
+      lastActivityAt = Date.now();
+    },
+    { capture: true, passive: true }
+  );
+});
+
+// Timers stall while a laptop sleeps, so also check when the tab comes back
+setInterval(checkAutoLock, 30000);
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') checkAutoLock();
+});
+
+const PASSPHRASE_MODES = {
+  set: {
+    title: 'Set a passphrase',
+    note:
+      'Your documents and history will be encrypted on this device. ' +
+      'There is no way to recover them without the passphrase, so keep a ' +
+      'backup.',
+    current: false,
+    next: true,
+    submit: 'Encrypt',
+    done: 'Passphrase set — your writing is encrypted ✓',
+  },
+  change: {
+    title: 'Change passphrase',
+    note: 'Everything will be re-encrypted with the new passphrase.',
+    current: true,
+    next: true,
+    submit: 'Change',
+    done: 'Passphrase changed ✓',
+  },
+  remove: {
+    title: 'Remove passphrase',
+    note: 'Your writing will be stored unencrypted again.',
+    current: true,
+    next: false,
+    submit: 'Remove',
+    done: 'Passphrase removed',
+  },
+};
+let passphraseMode = 'set';
+
+function openPassphraseDialog(mode) {
+  const opts = PASSPHRASE_MODES[mode];
+  passphraseMode = mode;
+
+  els.passphraseForm.reset();
+  els.passphraseTitle.textContent = opts.title;
+  els.passphraseNote.textContent = opts.note;
+  els.passphraseCurrentField.hidden = !opts.current;
+  els.passphraseCurrent.required = opts.current;
+  els.passphraseNewField.hidden = !opts.next;
+  els.passphraseNew.required = opts.next;
+  els.passphraseConfirmField.hidden = !opts.next;
+  els.passphraseConfirm.required = opts.next;
+  els.passphraseSubmit.textContent = opts.submit;
+  els.passphraseError.hidden = true;
+  els.passphraseDialog.showModal();
+}
+
+function showPassphraseError(message) {
+  els.passphraseError.textContent = message;
+  els.passphraseError.hidden = false;
+}
 
-function toggleFocus() {
-  appState.focus = !appState.focus;
+els.passphraseForm?.addEventListener('submit', async (e) => {
+  // Cancel just closes the dialog
+  if (e.submitter?.value !== 'save') return;
+  e.preventDefault();
 
-  document.body.classList.toggle('focus-mode', appState.focus);
+  const opts = PASSPHRASE_MODES[passphraseMode];
+  const current = els.passphraseCurrent.value;
+  const next = els.passphraseNew.value;
 
-  // Hide or show header/footer
-  document.querySelector('.header').style.display = appState.focus
-    ? 'none'
-    : '';
-  document.querySelector('.footer').style.display = appState.focus
-    ? 'none'
-    : '';
+  if (opts.next && next.length < VAULT_MIN_PASSPHRASE) {
+    showPassphraseError(`Use at least ${VAULT_MIN_PASSPHRASE} characters.`);
+    return;
+  }
+  if (opts.next && next !== els.passphraseConfirm.value) {
+    showPassphraseError('The new passphrases don’t match.');
+    return;
+  }
 
-  // Keep About panel accessible in focus mode
-  document.body.classList.toggle(
-    'about-open',
-    els.aboutPanel?.classList.contains('open')
-  );
+  els.passphraseSubmit.disabled = true;
+  els.passphraseSubmit.textContent = 'Working…';
+  try {
+    // Everything typed so far goes into the re-encryption
+    await save();
 
-  // Show or hide the floating exit button
-  const exitBtn = document.getElementById('exitFocus');
-  if (exitBtn) {
-    if (appState.focus) {
-      exitBtn.classList.add('show');
+    let ok = true;
+    if (passphraseMode === 'set') {
+      await vault.enable(next);
+    } else if (passphraseMode === 'change') {
+      ok = await vault.change(current, next);
     } else {
-      exitBtn.classList.remove('show');
+      ok = await vault.disable(current);
+    }
+
+    if (!ok) {
+      showPassphraseError('The current passphrase is not right.');
+      return;
     }
+
+    els.passphraseDialog.close();
+    // Other tabs still hold the old key; they reload and ask again
+    tabCoordinator.post({ type: 'vault' });
+    // Rewrites the journal and storage marker under the new settings
+    await save();
+    renderLockStatus();
+    showToast(opts.done, 3000);
+  } catch (err) {
+    errorHandler.critical(err, 'passphrase', { notify: true });
+  } finally {
+    els.passphraseSubmit.disabled = false;
+    els.passphraseSubmit.textContent = opts.submit;
   }
-}
+});
 
-// ---------- Export / Import ----------
-function exportTxt() {
-  const blob = new Blob([editor.value], { type: 'text/plain' });
-  const a = document.createElement('a');
-  const stamp = getLocalExportStamp();
-  a.href = URL.createObjectURL(blob);
-  a.download = `writing-${stamp}.txt`;
-  a.click();
-  URL.revokeObjectURL(a.href);
+els.lockSetBtn?.addEventListener('click', () => openPassphraseDialog('set'));
+els.lockChangeBtn?.addEventListener('click', () =>
+  openPassphraseDialog('change')
+);
+els.lockRemoveBtn?.addEventListener('click', () =>
+  openPassphraseDialog('remove')
+);
+els.lockNowBtn?.addEventListener('click', () => lockApp(true));
+
+// ---------- Offline Support & Updates ----------
+// sw.js precaches the app so it works with no network. A new release
+// installs in the background and waits; the banner lets the user switch
+// once their work is saved.
+let waitingWorker = null;
+let reloadRequested = false;
+
+function showUpdatePrompt(worker) {
+  waitingWorker = worker;
+  if (els.updateBanner) els.updateBanner.hidden = false;
 }
 
-async function exportDocx() {
-  if (!window.docx || !window.docx.Packer) {
-    errorHandler.warn('docx library not loaded', 'exportDocx', {
-      notify: true,
+async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  try {
+    const registration = await navigator.serviceWorker.register('sw.js');
+
+    // Only an update needs a prompt, not the very first install
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      showUpdatePrompt(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        const isUpdate = !!navigator.serviceWorker.controller;
+        if (worker.state === 'installed' && isUpdate) showUpdatePrompt(worker);
+      });
     });
-    return;
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (reloadRequested) location.reload();
+    });
+  } catch (err) {
+    errorHandler.warn(err, 'serviceWorker');
   }
+}
 
-  let objectUrl = null;
+els.updateReloadBtn?.addEventListener('click', async () => {
+  await save();
+  reloadRequested = true;
+  // Another tab may have switched already; then a plain reload is enough
+  if (waitingWorker?.state === 'installed') {
+    waitingWorker.postMessage({ type: 'skip-waiting' });
+  } else {
+    location.reload();
+  }
+});
 
-  try {
-    const { Document, Packer, Paragraph, TextRun } = window.docx;
+els.updateLaterBtn?.addEventListener('click', () => {
+  els.updateBanner.hidden = true;
+});
 
-    const paragraphs = editor.value.split(/\n/g).map(
-      (line) =>
-        new Paragraph({
-          children: [new TextRun(line)],
-        })
-    );
+// ---------- Writing History Heatmap ----------
+// One cell per day for the last year (weeks as columns, Monday on top),
+// shaded by words written, built from the `dailyStats` rows.
+const HEATMAP_WEEKS = 53;
 
-    const doc = new Document({
-      sections: [{ children: paragraphs }],
-    });
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
 
-    const blob = await Packer.toBlob(doc);
-    const stamp = getLocalExportStamp();
+// Monday of the week containing `date`
+function startOfWeek(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return addDays(d, -((d.getDay() + 6) % 7));
+}
 
-    const a = document.createElement('a');
-    objectUrl = URL.createObjectURL(blob);
-    a.href = objectUrl;
-    a.download = `writing-${stamp}.docx`;
-    a.click();
+function sumDays(rows) {
+  return rows.reduce(
+    (sum, row) => ({
+      words: sum.words + (row.words || 0),
+      minutes: sum.minutes + Math.floor((row.typingMs || 0) / 60000),
+      days: sum.days + (row.words > 0 ? 1 : 0),
+    }),
+    { words: 0, minutes: 0, days: 0 }
+  );
+}
+
+function describeDay(stamp, row) {
+  const label = new Date(`${stamp}T00:00`).toLocaleDateString(undefined, {
+    dateStyle: 'medium',
+  });
+  if (!row?.words && !row?.sprints) return `${label}: no writing`;
+
+  const parts = [
+    row.deleted
+      ? formatTally(row.words || 0, row.deleted)
+      : `${(row.words || 0).toLocaleString()} words`,
+    `${Math.floor((row.typingMs || 0) / 60000)} min`,
+  ];
+  if (row.sprints) {
+    parts.push(`${row.sprints} sprint(s), best ${row.bestSprint}`);
+  }
+  if (row.goalMet) parts.push('goal met ✓');
+  if (row.dailyGoalMet) parts.push('daily goal met ✓');
+  return `${label}: ${parts.join(' · ')}`;
+}
+
+async function renderHeatmap() {
+  // Only worth the work while the sidebar is showing it
+  if (!els.heatmap || !els.sidebar?.classList.contains('open')) return;
+
+  const today = new Date(`${getLocalDateStamp()}T00:00`);
+  const first = addDays(startOfWeek(today), -7 * (HEATMAP_WEEKS - 1));
+  let rows = [];
+  try {
+    rows = await db.dailyStats
+      .where('date')
+      .between(toDateStamp(first), toDateStamp(today), true, true)
+      .toArray();
   } catch (err) {
-    errorHandler.error(err, 'exportDocx', { notify: true });
-  } finally {
-    if (objectUrl) {
-      setTimeout(() => URL.revokeObjectURL(objectUrl), 100);
+    errorHandler.error(err, 'heatmap');
+  }
+  const byDate = new Map(rows.map((row) => [row.date, row]));
+  const most = Math.max(1, ...rows.map((row) => row.words || 0));
+
+  // Day cells, column by column, up to today
+  const cells = [];
+  const months = [];
+  for (let day = first; day <= today; day = addDays(day, 1)) {
+    const stamp = toDateStamp(day);
+    const row = byDate.get(stamp);
+    const words = row?.words || 0;
+
+    const cell = document.createElement('span');
+    cell.className = 'heat-cell';
+    cell.dataset.level = words ? Math.ceil((words / most) * 4) : 0;
+    cell.classList.toggle('met', !!(row?.goalMet || row?.dailyGoalMet));
+    cell.title = describeDay(stamp, row);
+    cells.push(cell);
+
+    // Label a column when a new month starts in it
+    if (day.getDay() === 1) {
+      const week = (cells.length - 1) / 7;
+      const month = addDays(day, 6).getMonth();
+      if (!months.length || months[months.length - 1].month !== month) {
+        months.push({ month, week, date: addDays(day, 6) });
+      }
     }
   }
-}
+  els.heatmap.replaceChildren(...cells);
+
+  els.heatmapMonths.replaceChildren(
+    ...months.map(({ week, date }, i) => {
+      const label = document.createElement('span');
+      const end = months[i + 1]?.week ?? HEATMAP_WEEKS;
+      label.style.gridColumn = `${week + 1} / ${end + 1}`;
+      // A one-week sliver at the start has no room for a name
+      if (end - week > 1) {
+        label.textContent = date.toLocaleDateString(undefined, {
+          month: 'short',
+        });
+      }
+      return label;
+    })
+  );
 
-function exportMarkdown() {
-  let md = editor.value;
+  // Weekly and monthly totals
+  const inRange = (from, to) =>
+    rows.filter((row) => row.date >= from && row.date <= to);
+  const weekStart = startOfWeek(today);
+  const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+  const periods = [
+    ['This week', weekStart, today],
+    ['Last week', addDays(weekStart, -7), addDays(weekStart, -1)],
+    ['This month', monthStart, today],
+    [
+      'Last month',
+      new Date(today.getFullYear(), today.getMonth() - 1, 1),
+      addDays(monthStart, -1),
+    ],
+  ];
+  els.heatmapTotals.replaceChildren(
+    ...periods.map(([name, from, to]) => {
+      const total = sumDays(inRange(toDateStamp(from), toDateStamp(to)));
+      const row = document.createElement('div');
+      row.className = 'heatmap-total';
+
+      const label = document.createElement('span');
+      label.className = 'label';
+      label.textContent = name;
+
+      const value = document.createElement('span');
+      value.className = 'value';
+      value.textContent = `${total.words.toLocaleString()} words · ${
+        total.minutes
+      } min`;
+      value.title = `${total.days} day(s) with writing`;
+
+      row.append(label, value);
+      return row;
+    })
+  );
 
-  // Simple conversions: double newlines become section breaks
-  md = md.replace(/\r?\n\r?\n/g, '\n\n');
+  // Most recent weeks first in view
+  els.heatmapScroll.scrollLeft = els.heatmapScroll.scrollWidth;
+}
 
-  const blob = new Blob([md], { type: 'text/markdown' });
-  const a = document.createElement('a');
-  const stamp = getLocalExportStamp();
-  a.href = URL.createObjectURL(blob);
-  a.download = `writing-${stamp}.md`;
-  a.click();
-  URL.revokeObjectURL(a.href);
+// Note the day the open document reached its goal
+async function markGoalMet() {
+  if (!tabCoordinator.isEditable()) return;
+  await updateDailyStats(getLocalDateStamp(), (row) => {
+    row.goalMet = true;
+  });
+  tabCoordinator.post({ type: 'stats' });
+  renderHeatmap();
 }
 
-// ---------- Import Any Text-Based Format ----------
-async function importFileHandler(file) {
-  if (!file) return;
+// ---------- Daily Goal ----------
+// Words written today across all documents (the day's stats row), next to
+// the open document's own goal. It celebrates once per day, in the tab
+// doing the writing.
+function renderDailyGoal() {
+  const goal = appState.dailyGoal;
+  const done = appState.wordsToday;
+  const pct = goal ? Math.min(100, Math.floor((done / goal) * 100)) : 0;
+  const isComplete = goal > 0 && done >= goal;
+
+  if (els.dailyChip) els.dailyChip.hidden = !goal;
+  if (els.dailyWords) els.dailyWords.textContent = done.toLocaleString();
+  if (els.dailyGoalDisplay) {
+    els.dailyGoalDisplay.textContent = goal.toLocaleString();
+  }
+  if (els.dailyProgress) els.dailyProgress.hidden = !goal;
+  if (els.dailyBar) els.dailyBar.style.width = pct + '%';
+  if (els.focusDaily) els.focusDaily.hidden = !goal;
+  if (els.focusDailyWords) {
+    els.focusDailyWords.textContent = `${done.toLocaleString()}/${goal}`;
+  }
 
-  const fileName = file.name || '';
-  const ext = fileName.toLowerCase().split('.').pop();
+  const isNewCompletion =
+    isComplete &&
+    appState.wasDailyGoalComplete === false &&
+    tabCoordinator.isEditable();
+  if (isNewCompletion) {
+    showCelebrate(true);
+    markDailyGoalMet();
+  }
+  appState.wasDailyGoalComplete = isComplete;
+}
 
-  let formattingWarning = '';
+async function markDailyGoalMet() {
+  await updateDailyStats(getLocalDateStamp(), (row) => {
+    row.dailyGoalMet = true;
+  });
+  tabCoordinator.post({ type: 'stats' });
+  renderHeatmap();
+}
 
-  if (ext === 'docx') {
-    formattingWarning =
-      '\n\nNote: All formatting (bold, italics, headings, lists, images) will be removed.';
-  } else if (ext === 'md') {
-    formattingWarning = '\n\nMarkdown syntax will be preserved.';
-  } else if (!['txt', 'docx', 'md'].includes(ext)) {
-    formattingWarning = '\n\nFile type is unusual. Formatting may be lost.';
+els.dailyGoalInput?.addEventListener('change', async () => {
+  const words = parseInt(els.dailyGoalInput.value, 10);
+  if (isNaN(words) || words < 0 || words > 999999) {
+    els.dailyGoalInput.value = appState.dailyGoal;
+    return;
   }
+  appState.dailyGoal = words;
+  renderDailyGoal();
+  await storage.set(STORAGE_KEYS.dailyGoal, words);
+  tabCoordinator.post({ type: 'dailyGoal', words });
+});
 
-  if (editor.value.trim().length > 0) {
-    const proceed = confirm(
-      `Importing will overwrite the current text.${formattingWarning}\n\nContinue?`
+// ---------- Sidebar Session Stats + Streak Tracking ----------
+async function updateSessionStats() {
+  // 1. Load today's row (a new calendar day starts with an empty row)
+  const session = await getDailyStats();
+  const pendingMs = activityTracker.getPendingMs(session.date);
+
+  const accounting = await getWordAccounting();
+
+  // 2. Update UI (Read-Only) with null checks
+  appState.activeMsToday = (session.typingMs || 0) + pendingMs;
+  appState.wordsToday = countedWords(session, accounting);
+  const minutes = Math.floor(appState.activeMsToday / 60000);
+  if (getGoalUnit().daily) updateAll();
+  renderDailyGoal();
+  if (els.statWords) {
+    els.statWords.textContent = appState.wordsToday;
+  }
+  if (els.statTally) {
+    els.statTally.textContent = formatTally(
+      session.words || 0,
+      session.deleted || 0
     );
-    if (!proceed) return;
   }
+  renderAccountingToggle(accounting);
+  if (els.statMinutes) els.statMinutes.textContent = minutes;
+  if (els.statSprints) els.statSprints.textContent = session.sprints;
+  if (els.statBestSprint) els.statBestSprint.textContent = session.bestSprint;
 
-  // ----- TXT + MD -----
-  if (ext === 'txt' || ext === 'md') {
-    try {
-      const text = await file.text();
-      editor.value = text;
-      updateAll();
-      save();
-    } catch (err) {
-      errorHandler.error(err, 'importText', { notify: true });
-    }
-    return;
+  // 3. Keep the history heatmap in step when it's visible
+  await renderHeatmap();
+}
+
+// Drafting (gross) or net accounting for the daily count and the streak
+function renderAccountingToggle(accounting) {
+  els.accountingToggle?.querySelectorAll('[data-accounting]').forEach((b) => {
+    const on = b.dataset.accounting === accounting;
+    b.classList.toggle('active', on);
+    b.setAttribute('aria-pressed', String(on));
+  });
+}
+
+els.accountingToggle?.querySelectorAll('[data-accounting]').forEach((btn) => {
+  btn.addEventListener('click', async () => {
+    await storage.set(STORAGE_KEYS.wordAccounting, btn.dataset.accounting);
+    tabCoordinator.post({ type: 'stats' });
+    await updateSessionStats();
+    await updateStreakUI();
+  });
+});
+
+/**
+ * CRITICAL: Atomically updates all typing-related stats in a single transaction.
+ * This prevents race conditions during rapid typing.
+ * @param {number} added - Words added since the last sync.
+ * @param {number} deleted - Words deleted since the last sync.
+ */
+async function updateAllStatsTransaction(added, deleted = 0) {
+  const todayStamp = getLocalDateStamp();
+  const goal = parseInt(goalInput.value, 10) || DEFAULT_GOAL;
+  const goalUnit = getGoalUnitKey();
+
+  try {
+    await db.transaction('rw', db.settings, db.dailyStats, async () => {
+      const [streak, rulesRow, accountingRow, session] = await Promise.all([
+        db.settings.get(STORAGE_KEYS.streak),
+        db.settings.get(STORAGE_KEYS.streakRules),
+        db.settings.get(STORAGE_KEYS.wordAccounting),
+        db.dailyStats.get(todayStamp),
+      ]);
+      const rules = { ...STREAK_RULE_DEFAULTS, ...rulesRow?.value };
+
+      const currentSession = session || createDailyStats(todayStamp);
+      currentSession.words += added;
+      currentSession.deleted = (currentSession.deleted || 0) + deleted;
+      // The goal the day started with; switching documents later in the
+      // day doesn't rewrite it
+      if (currentSession.goal == null) {
+        currentSession.goal = goal;
+        currentSession.goalUnit = goalUnit;
+      }
+      currentSession.dailyGoal = appState.dailyGoal || null;
+
+      let currentStreak = streak?.value || createStreak();
+
+      // Today counts once its words (gross or net) reach the minimum
+      if (
+        countedWords(currentSession, accountingRow?.value) >= rules.minWords &&
+        // Not "!==": flying west can make today earlier than the last
+        // counted day, which mustn't count twice
+        !(currentStreak.lastDate >= todayStamp)
+      ) {
+        const settled = settleStreak(currentStreak, rules, todayStamp);
+        currentStreak = settled.streak;
+        currentStreak.count += 1;
+        currentStreak.lastDate = todayStamp;
+        currentStreak.lastAt = Date.now();
+        currentStreak.record = Math.max(
+          currentStreak.record,
+          currentStreak.count
+        );
+        if (
+          rules.freezeEvery > 0 &&
+          currentStreak.count % rules.freezeEvery === 0
+        ) {
+          currentStreak.freezes = Math.min(
+            rules.maxFreezes,
+            currentStreak.freezes + 1
+          );
+        }
+        currentSession.counted = true;
+
+        await db.settings.put({
+          key: STORAGE_KEYS.streak,
+          value: currentStreak,
+        });
+
+        // Mark the days the freezes covered, for the streak calendar
+        for (const date of settled.frozen) {
+          const row = (await db.dailyStats.get(date)) || createDailyStats(date);
+          row.frozen = true;
+          await db.dailyStats.put(row);
+        }
+      }
+
+      await db.dailyStats.put(currentSession);
+    });
+  } catch (err) {
+    errorHandler.critical(err, 'statsTransaction', { silent: false });
   }
+}
 
-  // ----- DOCX -----
-  if (ext === 'docx') {
-    if (
-      !window.mammoth ||
-      typeof window.mammoth.extractRawText !== 'function'
-    ) {
-      errorHandler.warn('mammoth library not loaded', 'importDocx', {
-        notify: true,
-      });
-      return;
-    }
+// ---------- Sidebar Sprint Tracking Integration ----------
+async function registerSprintResult(wordsGained, date = getLocalDateStamp()) {
+  await updateDailyStats(date, (session) => {
+    session.sprints = (session.sprints || 0) + 1;
+    session.bestSprint = Math.max(session.bestSprint || 0, wordsGained || 0);
+  });
+  tabCoordinator.post({ type: 'stats' });
+  await updateSessionStats();
+}
 
-    try {
-      const arrayBuffer = await file.arrayBuffer();
-      const result = await window.mammoth.extractRawText({ arrayBuffer });
-      editor.value = result.value || '';
-      updateAll();
-      save();
-    } catch (err) {
-      errorHandler.error(err, 'importDocx', { notify: true });
-    }
-    return;
+// ---------- Sprint History ----------
+// Every sprint, finished or cancelled, is a row in the `sprints` store.
+// The panel charts words per minute over time and keeps personal bests
+// per sprint length.
+const SPRINT_CHART_LIMIT = 30;
+
+async function recordSprint(record) {
+  try {
+    await db.sprints.add(record);
+    tabCoordinator.post({ type: 'stats' });
+    if (els.sprintPanel?.classList.contains('open')) renderSprintHistory();
+  } catch (err) {
+    errorHandler.error(err, 'recordSprint');
   }
+}
 
-  // Final fallback for truly unsupported files
-  errorHandler.warn('Unsupported file type', 'import', { notify: true });
+// Words per minute of writing time (pauses excluded)
+function sprintWpm(sprint) {
+  const minutes = (sprint.actualMs || 0) / 60000;
+  return minutes > 0 ? sprint.words / minutes : 0;
 }
 
-// ---------- Sidebar Session Stats + Streak Tracking ----------
-async function updateSessionStats() {
-  const todayStamp = getLocalDateStamp();
+function formatSprintMinutes(ms) {
+  const minutes = Math.round((ms || 0) / 60000);
+  return `${minutes} min`;
+}
 
-  // 1. Load data
-  let session = (await storage.get('wt:sessionStats')) || {
-    date: todayStamp,
-    words: 0,
-    minutes: 0,
-    sprints: 0,
-    bestSprint: 0,
+function formatSprintWhen(time) {
+  return new Date(time).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+}
+
+/**
+ * Draw completed sprints as a WPM line chart
+ * @param {Array<Object>} sprints - Completed sprints, oldest first
+ */
+function renderSprintChart(sprints) {
+  const svg = els.sprintChart;
+  const width = 480;
+  const height = 160;
+  const pad = { top: 12, right: 12, bottom: 22, left: 32 };
+  const ns = 'http://www.w3.org/2000/svg';
+  const make = (tag, attrs = {}) => {
+    const node = document.createElementNS(ns, tag);
+    Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+    return node;
   };
 
-  // 2. New calendar day → reset stats for today
-  if (session.date !== todayStamp) {
-    session = {
-      date: todayStamp,
-      words: 0,
-      minutes: 0,
-      sprints: 0,
-      bestSprint: 0,
-    };
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  if (!sprints.length) {
+    const empty = make('text', {
+      x: width / 2,
+      y: height / 2,
+      'text-anchor': 'middle',
+      class: 'sprint-chart-label',
+    });
+    empty.textContent = 'Finish a sprint to start the chart.';
+    svg.replaceChildren(empty);
+    return;
   }
 
-  // 3. Update minutes for display (only use time if it's from today)
-  const savedTyping = await storage.get('wt:typingTime', { time: 0, date: null });
-  const mins = savedTyping.date === new Date().toDateString() ? Math.floor(savedTyping.time / 60000) : 0;
-  session.minutes = mins;
+  // Round the scale up to a multiple of 10 WPM
+  const peak = Math.max(...sprints.map(sprintWpm));
+  const top = Math.max(10, Math.ceil(peak / 10) * 10);
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const step = sprints.length > 1 ? plotW / (sprints.length - 1) : 0;
+  const x = (i) => pad.left + (step ? i * step : plotW / 2);
+  const y = (wpm) => pad.top + plotH - (wpm / top) * plotH;
+
+  const nodes = [];
+  [0, top / 2, top].forEach((tick) => {
+    nodes.push(
+      make('line', {
+        x1: pad.left,
+        x2: width - pad.right,
+        y1: y(tick),
+        y2: y(tick),
+        class: 'sprint-chart-grid',
+      })
+    );
+    const label = make('text', {
+      x: pad.left - 6,
+      y: y(tick) + 4,
+      'text-anchor': 'end',
+      class: 'sprint-chart-label',
+    });
+    label.textContent = tick;
+    nodes.push(label);
+  });
 
-  // 4. Update UI (Read-Only) with null checks
-  const wordsToday = session.words;
-  if (els.statWords) els.statWords.textContent = wordsToday;
-  if (els.statMinutes) els.statMinutes.textContent = session.minutes;
-  if (els.statSprints) els.statSprints.textContent = session.sprints;
-  if (els.statBestSprint) els.statBestSprint.textContent = session.bestSprint;
+  nodes.push(
+    make('polyline', {
+      points: sprints.map((s, i) => `${x(i)},${y(sprintWpm(s))}`).join(' '),
+      class: 'sprint-chart-line',
+    })
+  );
+
+  sprints.forEach((s, i) => {
+    const dot = make('circle', {
+      cx: x(i),
+      cy: y(sprintWpm(s)),
+      r: 3.5,
+      class: 'sprint-chart-dot',
+    });
+    const tip = make('title');
+    tip.textContent = `${formatSprintWhen(s.startedAt)}: ${Math.round(
+      sprintWpm(s)
+    )} WPM (${s.words} words in ${formatSprintMinutes(s.actualMs)})`;
+    dot.append(tip);
+    nodes.push(dot);
+  });
+
+  // First and last dates under the axis
+  const [first, last] = [sprints[0], sprints[sprints.length - 1]];
+  [
+    [first, pad.left, 'start'],
+    [last, width - pad.right, 'end'],
+  ].forEach(([s, at, anchor]) => {
+    const label = make('text', {
+      x: at,
+      y: height - 6,
+      'text-anchor': anchor,
+      class: 'sprint-chart-label',
+    });
+    label.textContent = new Date(s.startedAt).toLocaleDateString(undefined, {
+      month: 'short',
+      day: 'numeric',
+    });
+    nodes.push(label);
+  });
+
+  svg.replaceChildren(...nodes);
 }
 
-/**
- * CRITICAL: Atomically updates all typing-related stats in a single transaction.
- * This prevents race conditions during rapid typing.
- * @param {number} wordsGained - The word delta from the last input event.
- */
-async function updateAllStatsTransaction(wordsGained) {
-  const todayStamp = getLocalDateStamp();
+// Best words and best WPM for each planned sprint length, with stopwatch
+// sessions in a row of their own at the end
+function renderSprintBests(sprints) {
+  const byLength = new Map();
+  sprints.forEach((s) => {
+    const minutes =
+      s.mode === 'stopwatch' ? Infinity : Math.round(s.plannedMs / 60000);
+    const best = byLength.get(minutes) || { count: 0, words: 0, wpm: 0 };
+    best.count += 1;
+    best.words = Math.max(best.words, s.words);
+    best.wpm = Math.max(best.wpm, sprintWpm(s));
+    byLength.set(minutes, best);
+  });
 
-  try {
-    await db.transaction('rw', db.content, async (tx) => {
-      const typingTimePromise = tx.content.get('wt:typingTime');
-      const sessionStatsPromise = tx.content.get('wt:sessionStats');
-      const streakDataPromise = tx.content.get('wt:streakData');
-
-      const [savedTyping, session, streak] = await Promise.all([
-        typingTimePromise,
-        sessionStatsPromise,
-        streakDataPromise,
-      ]);
+  if (!byLength.size) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 4;
+    cell.className = 'history-empty';
+    cell.textContent = 'No finished sprints yet.';
+    row.append(cell);
+    els.sprintBests.replaceChildren(row);
+    return;
+  }
 
-      let currentStreak = streak?.value || {
-        count: 0,
-        record: 0,
-        lastDate: null,
-      };
+  els.sprintBests.replaceChildren(
+    ...[...byLength.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([minutes, best]) => {
+        const row = document.createElement('tr');
+        [
+          minutes === Infinity ? 'Stopwatch' : `${minutes} min`,
+          best.words.toLocaleString(),
+          Math.round(best.wpm),
+          best.count,
+        ].forEach((value) => {
+          const cell = document.createElement('td');
+          cell.textContent = value;
+          row.append(cell);
+        });
+        return row;
+      })
+  );
+}
 
-      if (wordsGained > 0 && currentStreak.lastDate !== todayStamp) {
-        const last = new Date(currentStreak.lastDate);
-        const diff = (new Date(todayStamp) - last) / 86400000;
-        currentStreak.count = diff === 1 ? currentStreak.count + 1 : 1;
-        currentStreak.lastDate = todayStamp;
-        currentStreak.record = Math.max(
-          currentStreak.record,
-          currentStreak.count
-        );
+function renderSprintLog(sprints) {
+  if (!sprints.length) {
+    const empty = document.createElement('li');
+    empty.className = 'history-empty';
+    empty.textContent = 'Sprints you run will be listed here.';
+    els.sprintLog.replaceChildren(empty);
+    return;
+  }
 
-        await tx.content.put({ key: 'wt:streakData', value: currentStreak });
+  els.sprintLog.replaceChildren(
+    ...sprints.map((s) => {
+      const li = document.createElement('li');
+      li.className = 'sprint-log-item';
+      li.classList.toggle('cancelled', s.outcome === 'cancelled');
+
+      const when = document.createElement('span');
+      when.textContent = formatSprintWhen(s.startedAt);
+
+      const meta = document.createElement('span');
+      meta.className = 'history-meta';
+      const actual = formatSprintMinutes(s.actualMs);
+      const planned = formatSprintMinutes(s.plannedMs);
+      const from = s.startWords.toLocaleString();
+      const to = s.endWords.toLocaleString();
+      const parts = [
+        s.mode === 'stopwatch'
+          ? `${actual} stopwatch`
+          : `${actual} of ${planned}`,
+        `${from} → ${to} words`,
+        `${Math.round(sprintWpm(s))} WPM`,
+      ];
+      // Older records predate add/delete tracking
+      if (s.added != null) parts.push(formatTally(s.added, s.deleted));
+      if (s.pausedMs >= 1000) {
+        parts.push(`paused ${Math.round(s.pausedMs / 1000)}s`);
       }
-
-      let currentSession = session?.value || {
-        date: todayStamp,
-        words: 0,
-        minutes: 0,
-        sprints: 0,
-        bestSprint: 0,
-      };
-
-      if (currentSession.date !== todayStamp) {
-        currentSession = {
-          date: todayStamp,
-          words: 0,
-          minutes: 0,
-          sprints: 0,
-          bestSprint: 0,
-        };
+      if (s.target) {
+        const mark = s.targetHit ? '✓' : '✗';
+        parts.push(`target ${s.target.toLocaleString()} ${mark}`);
       }
+      if (s.outcome === 'cancelled') parts.push('cancelled');
+      meta.textContent = parts.join(' · ');
 
-      const typingIsFromToday = savedTyping?.value?.date === new Date().toDateString();
-      const mins = typingIsFromToday ? Math.floor((savedTyping?.value?.time || 0) / 60000) : 0;
-      currentSession.minutes = mins;
-      currentSession.words += wordsGained;
+      li.append(when, meta);
+      return li;
+    })
+  );
+}
 
-      await tx.content.put({ key: 'wt:sessionStats', value: currentSession });
-    });
+async function renderSprintHistory() {
+  let sprints = [];
+  try {
+    sprints = await db.sprints.orderBy('startedAt').toArray();
   } catch (err) {
-    errorHandler.critical(err, 'statsTransaction', { silent: false });
+    errorHandler.error(err, 'sprintHistory');
   }
-}
+  const completed = sprints.filter((s) => s.outcome === 'completed');
 
-// ---------- Sidebar Sprint Tracking Integration ----------
-async function registerSprintResult(wordsGained) {
-  // <-- ADD async
-  // --- NEW: Use await storage.get() ---
-  let session = await storage.get('wt:sessionStats');
-  if (!session) return;
+  renderSprintChart(completed.slice(-SPRINT_CHART_LIMIT));
+  renderSprintBests(completed);
+  renderSprintLog(sprints.slice().reverse());
+}
 
-  session.sprints = (session.sprints || 0) + 1;
-  session.bestSprint = Math.max(session.bestSprint || 0, wordsGained || 0);
+async function openSprintPanel() {
+  await renderSprintHistory();
+  els.sprintPanel.classList.add('open');
+  els.sprintPanel.setAttribute('aria-hidden', 'false');
+  els.sprintClose?.focus();
+}
 
-  // --- Use await storage.set() ---
-  await storage.set('wt:sessionStats', session);
-  await updateSessionStats();
+function closeSprintPanel(returnFocus = false) {
+  els.sprintPanel.classList.remove('open');
+  els.sprintPanel.setAttribute('aria-hidden', 'true');
+  if (returnFocus) els.sprintHistoryBtn?.focus();
 }
 
+els.sprintHistoryBtn?.addEventListener('click', (e) => {
+  e.stopPropagation();
+  openSprintPanel();
+});
+
+els.sprintClose?.addEventListener('click', (e) => {
+  e.stopPropagation();
+  closeSprintPanel(true);
+});
+
 // ---------- Events ----------
 editor.addEventListener('input', async (e) => {
-  await resetTypingTimeIfNewDay();
-
-  const now = Date.now();
-
-  // If a burst just started, record the start time
-  if (!appState.typing.startTimestamp) {
-    appState.typing.startTimestamp = now;
-  }
-
-  // 1. Clear any pending burst timer
-  clearTimeout(appState.typing.burstTimer);
-
-  // 2. Schedule burst end: runs after 3s of *no typing*
-  appState.typing.burstTimer = setTimeout(async () => {
-    if (appState.typing.startTimestamp) {
-      const burstDuration = Date.now() - appState.typing.startTimestamp;
-      appState.typing.totalTime += burstDuration;
-      appState.typing.startTimestamp = null;
-      appState.typing.burstTimer = null;
-
-      // Persist total typing time
-      // --- Use await storage.set() ---
-      await storage.set(
-        // <-- Use await storage.set
-        'wt:typingTime',
-        {
-          date: appState.typing.date,
-          time: appState.typing.totalTime,
-        }
-      );
-    }
-  }, TYPING_BURST_THRESHOLD_MS);
+  // Journal first: it's synchronous, so it survives a crash mid-handler
+  editJournal.record(editor.value);
 
-  // ---------- Update "words typed today" ----------
-  const currentCount = countWords(editor.value);
+  // Active writing time: the gap since the last keystroke, unless idle
+  activityTracker.touch();
 
-  // Only trigger stats update when words increase
-  if (currentCount > appState.peakWordCount) {
-    appState.peakWordCount = currentCount;
+  // ---------- Update "words typed today" ----------
+  // Credit the words this edit added or deleted
+  const { added, deleted } = measureEdit(appState.lastText, editor.value);
+  appState.lastText = editor.value;
+  if (added || deleted) {
+    appState.pendingTally.added += added;
+    appState.pendingTally.deleted += deleted;
     debouncedStatsUpdate();
   }
 
   // Update the last known count for next input event
-  appState.lastWordCount = currentCount;
+  appState.lastWordCount = countWords(editor.value);
 
   // Always update word count display and trigger autosave
   debouncedUpdateAll();
   throttledSave();
+  debouncedBroadcastText();
+  maybeAutoSnapshot();
 });
 
 // ---------- Prevent Multiple Stats Timers ----------
@@ -1386,11 +6202,92 @@ if (window._sessionStatsTimer) {
   clearInterval(window._sessionStatsTimer);
 }
 
-// Create the timer
-window._sessionStatsTimer = setInterval(
-  updateSessionStats,
-  STATS_UPDATE_INTERVAL_MS
-); // refresh every 5 sec
+// Create the timer (it also banks the active time typed since last tick)
+window._sessionStatsTimer = setInterval(async () => {
+  await activityTracker.flush();
+  await updateSessionStats();
+}, STATS_UPDATE_INTERVAL_MS); // refresh every 5 sec
+
+// ---------- Active Time + Live Pace ----------
+function formatPace(value) {
+  return value == null ? '—' : value.toLocaleString();
+}
+
+function renderPaceMeter() {
+  const { wpm, wph } = activityTracker.getPace();
+  if (els.paceWpm) els.paceWpm.textContent = formatPace(wpm);
+  if (els.paceWph) els.paceWph.textContent = formatPace(wph);
+  if (els.focusWpm) els.focusWpm.textContent = formatPace(wpm);
+  if (els.focusWph) els.focusWph.textContent = formatPace(wph);
+}
+
+// Once a second, so the live WPM falls away when typing stops
+setInterval(() => {
+  if (document.visibilityState === 'visible') renderPaceMeter();
+}, 1000);
+
+// The clock only runs while the page is in front of the writer
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') activityTracker.pause();
+});
+window.addEventListener('blur', () => activityTracker.pause());
+window.addEventListener('pagehide', () => activityTracker.pause());
+
+els.idleTimeoutSelect?.addEventListener('change', async () => {
+  const ms = Number(els.idleTimeoutSelect.value);
+  activityTracker.setIdleTimeout(ms);
+  await storage.set(STORAGE_KEYS.idleTimeout, ms);
+  tabCoordinator.post({ type: 'idle', ms });
+});
+
+// ---------- Writing Day Settings ----------
+// The select lists every zone the browser knows, filled in on first use
+function renderDayBoundary() {
+  const { startHour, timeZone } = appState.dayBoundary;
+  if (els.dayStartSelect) els.dayStartSelect.value = startHour;
+  if (!els.timeZoneSelect) return;
+
+  if (els.timeZoneSelect.options.length === 1) {
+    const device = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    els.timeZoneSelect.options[0].textContent = `Follow this device (${device})`;
+    const zones = Intl.supportedValuesOf?.('timeZone') || [];
+    els.timeZoneSelect.append(
+      ...zones.map((zone) => new Option(zone.replaceAll('_', ' '), zone))
+    );
+  }
+  // A zone this browser doesn't list still shows as chosen
+  if (timeZone && !els.timeZoneSelect.querySelector(`[value="${timeZone}"]`)) {
+    els.timeZoneSelect.append(new Option(timeZone, timeZone));
+  }
+  els.timeZoneSelect.value = timeZone;
+}
+
+async function applyDayBoundary(boundary) {
+  // Time already tracked stays on the day it was counted for
+  await activityTracker.flush();
+  appState.dayBoundary = { ...DAY_BOUNDARY_DEFAULTS, ...boundary };
+  renderDayBoundary();
+  await updateSessionStats();
+  await updateStreakUI();
+  await renderHeatmap();
+}
+
+async function saveDayBoundary() {
+  const boundary = {
+    startHour: Number(els.dayStartSelect.value),
+    timeZone: els.timeZoneSelect.value,
+  };
+  try {
+    await applyDayBoundary(boundary);
+    await storage.set(STORAGE_KEYS.dayBoundary, boundary);
+    tabCoordinator.post({ type: 'day', boundary });
+  } catch (err) {
+    errorHandler.error(err, 'dayBoundary', { notify: true });
+  }
+}
+
+els.dayStartSelect?.addEventListener('change', saveDayBoundary);
+els.timeZoneSelect?.addEventListener('change', saveDayBoundary);
 
 goalInput.addEventListener('change', async () => {
   updateAll();
@@ -1399,7 +6296,7 @@ goalInput.addEventListener('change', async () => {
 
 // ---------- Editable Goal Chip ----------
 function openGoalEdit() {
-  if (!els.goalChip) return;
+  if (!els.goalChip || !tabCoordinator.isEditable()) return;
   els.goalChip.classList.add('editing');
   els.goalInputNew.value = goalInput.value;
   els.goalInputNew.removeAttribute('hidden');
@@ -1424,7 +6321,7 @@ function closeGoalEdit(saveChanges = true) {
   // Update aria-label with new value
   els.goalChip.setAttribute(
     'aria-label',
-    `Edit word goal, currently ${goalInput.value}`
+    `Edit goal, currently ${goalInput.value} ${getGoalUnit().label}`
   );
   els.goalDisplay.hidden = false;
   els.goalEdit.hidden = true;
@@ -1483,30 +6380,384 @@ els.goalInputNew?.addEventListener('keydown', (e) => {
 // +/- buttons in edit mode
 els.incGoalNew?.addEventListener('click', async (e) => {
   e.stopPropagation();
-  els.goalInputNew.value = (+els.goalInputNew.value || 0) + 100;
+  els.goalInputNew.value = (+els.goalInputNew.value || 0) + getGoalUnit().step;
 });
 
 els.decGoalNew?.addEventListener('click', async (e) => {
   e.stopPropagation();
-  els.goalInputNew.value = Math.max(1, (+els.goalInputNew.value || 0) - 100);
+  const step = getGoalUnit().step;
+  els.goalInputNew.value = Math.max(1, (+els.goalInputNew.value || 0) - step);
+});
+
+// ---------- Goal Unit Settings ----------
+els.goalUnitSelect?.addEventListener('change', async () => {
+  const key = els.goalUnitSelect.value;
+  const doc = documentLibrary.getActive();
+  if (!tabCoordinator.isEditable() || !doc) {
+    els.goalUnitSelect.value = getGoalUnitKey();
+    return;
+  }
+  // A deadline is counted in the old unit, so it can't carry over
+  if (
+    doc.deadline &&
+    !confirm("Changing the goal unit removes this document's deadline.")
+  ) {
+    els.goalUnitSelect.value = getGoalUnitKey();
+    return;
+  }
+  try {
+    goalInput.value = GOAL_UNITS[key].defaultGoal;
+    await documentLibrary.updateActive({ goalUnit: key, deadline: null });
+    appState.wasGoalComplete = measureProgress() >= goalInput.value;
+    updateAll();
+    await save();
+    broadcastText(); // carries the new goal
+    tabCoordinator.post({ type: 'docs' });
+  } catch (err) {
+    errorHandler.error(err, 'setGoalUnit', { notify: true });
+  }
+});
+
+els.wordsPerPageInput?.addEventListener('change', async () => {
+  const value = parseInt(els.wordsPerPageInput.value, 10);
+  if (isNaN(value) || value < 50 || value > 1000) {
+    els.wordsPerPageInput.value = appState.wordsPerPage;
+    return;
+  }
+  appState.wordsPerPage = value;
+  updateAll();
+  await storage.set(STORAGE_KEYS.wordsPerPage, value);
+  tabCoordinator.post({ type: 'pages', wordsPerPage: value });
+});
+
+// ---------- Word Counting Settings ----------
+// Counts change with the rules, but that isn't writing: start tracking
+// again from the new count so the day's stats don't jump
+async function recount() {
+  resetWordTracking();
+  appState.wasGoalComplete = measureProgress() >= goalInput.value;
+  updateAll();
+  await renderDocumentList();
+}
+
+els.docLanguageSelect?.addEventListener('change', async () => {
+  if (!tabCoordinator.isEditable() || !documentLibrary.getActive()) {
+    els.docLanguageSelect.value = documentLibrary.getActive()?.language || '';
+    return;
+  }
+  try {
+    await documentLibrary.updateActive({
+      language: els.docLanguageSelect.value,
+    });
+    await recount();
+    tabCoordinator.post({ type: 'docs' });
+  } catch (err) {
+    errorHandler.error(err, 'setDocumentLanguage', { notify: true });
+  }
+});
+
+els.countingRulesBtn?.addEventListener('click', () => {
+  const rules = wordCounter.getRules();
+  els.countCjk.value = rules.cjk;
+  els.countHyphens.value = rules.hyphens;
+  els.countNumbers.value = rules.numbers;
+  els.countUrls.value = rules.urls;
+  els.countingDialog.showModal();
+});
+
+els.countingForm?.addEventListener('submit', async (e) => {
+  // Cancel just closes the dialog
+  if (e.submitter?.value !== 'save') return;
+  e.preventDefault();
+
+  const rules = {
+    cjk: els.countCjk.value,
+    hyphens: els.countHyphens.value,
+    numbers: els.countNumbers.value,
+    urls: els.countUrls.value,
+  };
+  wordCounter.setRules(rules);
+  els.countingDialog.close();
+  await recount();
+  await storage.set(STORAGE_KEYS.wordCounting, rules);
+  tabCoordinator.post({ type: 'counting', rules });
+  showToast('Counting rules saved ✓');
+});
+
+// ---------- Deadline Goals ----------
+// A deadline turns the goal chip's word count into "N words by a date".
+// It is stored on the document as { date, startDate, startWords }, all
+// dates being local YYYY-MM-DD stamps.
+
+// Whole days from one date stamp to another (rounding absorbs DST shifts)
+function daysBetween(from, to) {
+  const ms = new Date(`${to}T00:00`) - new Date(`${from}T00:00`);
+  return Math.round(ms / DAY_MS);
+}
+
+function formatDeadlineDate(stamp) {
+  return new Date(`${stamp}T00:00`).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
+/**
+ * Work out where a deadline goal stands today
+ * @param {Object} deadline - { date, startDate, startWords }
+ * @param {number} goal - Target word count
+ * @param {number} words - Current word count
+ * @param {string} today - Today's date stamp
+ * @returns {Object} Words and days left, the daily pace needed, and how far
+ *   ahead (positive) or behind (negative) of a steady pace the writer is
+ */
+function getDeadlinePace(deadline, goal, words, today = getLocalDateStamp()) {
+  const left = Math.max(0, goal - words);
+  // Today counts as a writing day
+  const daysLeft = Math.max(0, daysBetween(today, deadline.date) + 1);
+  const totalDays = Math.max(
+    1,
+    daysBetween(deadline.startDate, deadline.date) + 1
+  );
+  const daysDone = Math.min(
+    totalDays,
+    Math.max(0, daysBetween(deadline.startDate, today))
+  );
+
+  // A steady pace spreads the words still to write at the start evenly
+  // across every day; `par` is where that pace stands as today begins
+  const start = Math.min(deadline.startWords || 0, goal);
+  const par = Math.round(start + ((goal - start) * daysDone) / totalDays);
+
+  return {
+    left,
+    daysLeft,
+    perDay: daysLeft ? Math.ceil(left / daysLeft) : left,
+    par,
+    diff: words - par,
+  };
+}
+
+function describeSchedule(pace) {
+  if (pace.left === 0) return 'Done 🎉';
+  if (!pace.daysLeft) return 'Overdue';
+  if (pace.diff === 0) return 'On pace';
+  const amount = Math.abs(pace.diff).toLocaleString();
+  return pace.diff > 0 ? `${amount} ahead` : `${amount} behind`;
+}
+
+/**
+ * Show the open document's deadline on the goal chip, the progress ring and
+ * in the sidebar. Called from updateAll() on every change.
+ * @param {number} words - Current word count
+ * @param {number} goal - Target word count
+ */
+function renderDeadline(progress, goal, unit) {
+  const deadline = unit.daily
+    ? null
+    : documentLibrary.getActive()?.deadline || null;
+  const pace = deadline ? getDeadlinePace(deadline, goal, progress) : null;
+
+  if (els.goalDeadline) {
+    els.goalDeadline.hidden = !deadline;
+    els.goalDeadline.textContent = deadline
+      ? ` by ${formatDeadlineDate(deadline.date)}`
+      : '';
+  }
+
+  // Tick on the ring marking where a steady pace would be
+  if (els.ringPace) {
+    const showTick = !!pace && pace.left > 0 && pace.par > 0;
+    els.ringPace.setAttribute('visibility', showTick ? 'visible' : 'hidden');
+    if (showTick) {
+      const angle = (Math.min(1, pace.par / goal) * 360).toFixed(1);
+      els.ringPace.setAttribute('transform', `rotate(${angle} 22 22)`);
+    }
+    els.ringPace.parentElement.classList.toggle(
+      'behind',
+      !!pace && pace.left > 0 && pace.diff < 0
+    );
+  }
+
+  if (!els.deadlineSummary) return;
+  els.deadlineGrid.hidden = !deadline;
+  els.deadlineSetBtn.hidden = !!deadline || !!unit.daily;
+  els.deadlineEditBtn.hidden = !deadline;
+  els.deadlineRemoveBtn.hidden = !deadline;
+
+  if (!deadline) {
+    els.deadlineSummary.textContent = unit.daily
+      ? 'Deadlines need a goal in words, characters, pages or sentences.'
+      : 'No deadline for this document.';
+    return;
+  }
+
+  const date = new Date(`${deadline.date}T00:00`).toLocaleDateString(
+    undefined,
+    { dateStyle: 'medium' }
+  );
+  const units = unit.short[0].toUpperCase() + unit.short.slice(1);
+  els.deadlineSummary.textContent = `${goal.toLocaleString()} ${
+    unit.label
+  } by ${date}`;
+  els.deadlineLeftLabel.textContent = `${units} Left`;
+  els.deadlineLeft.textContent = pace.left.toLocaleString();
+  els.deadlineDays.textContent = pace.daysLeft.toLocaleString();
+  els.deadlinePerDay.textContent = pace.perDay.toLocaleString();
+  els.deadlineSchedule.textContent = describeSchedule(pace);
+  els.deadlineSchedule.classList.toggle(
+    'behind',
+    pace.left > 0 && pace.diff < 0
+  );
+}
+
+function openDeadlineDialog() {
+  if (!tabCoordinator.isEditable()) return;
+  const deadline = documentLibrary.getActive()?.deadline;
+
+  els.deadlineForm.reset();
+  els.deadlineTitle.textContent = deadline ? 'Edit deadline' : 'Set a deadline';
+  els.deadlineTargetLabel.textContent = `Target ${getGoalUnit().label}`;
+  els.deadlineStartLabel.textContent = `Starting ${getGoalUnit().label}`;
+  els.deadlineTarget.value = goalInput.value;
+  els.deadlineDate.min = getLocalDateStamp();
+  els.deadlineDate.value = deadline?.date || '';
+  els.deadlineStart.value = deadline ? deadline.startWords : '';
+  els.deadlineStart.placeholder = measureProgress().toLocaleString();
+  els.deadlineError.hidden = true;
+  els.deadlineDialog.showModal();
+}
+
+async function applyDeadline(deadline) {
+  await documentLibrary.updateActive({ deadline });
+  updateAll();
+  await save();
+  // Other tabs re-read the document
+  tabCoordinator.post({ type: 'docs' });
+}
+
+els.deadlineForm?.addEventListener('submit', async (e) => {
+  // Cancel just closes the dialog
+  if (e.submitter?.value !== 'save') return;
+  e.preventDefault();
+
+  const today = getLocalDateStamp();
+  const target = parseInt(els.deadlineTarget.value, 10);
+  const date = els.deadlineDate.value;
+  const startInput = els.deadlineStart.value.trim();
+
+  let error = '';
+  if (isNaN(target) || target < 1 || target > 999999) {
+    error = 'Enter a target between 1 and 999,999 words.';
+  } else if (!date || date < today) {
+    error = 'Pick a date from today onwards.';
+  } else if (startInput && !(parseInt(startInput, 10) >= 0)) {
+    error = 'Starting words must be 0 or more.';
+  }
+  if (error) {
+    els.deadlineError.textContent = error;
+    els.deadlineError.hidden = false;
+    return;
+  }
+
+  const previous = documentLibrary.getActive()?.deadline;
+  goalInput.value = target;
+  els.deadlineDialog.close();
+  try {
+    // Blank means "count from what's written now", which starts the plan
+    // today; otherwise editing keeps the original plan's first day
+    await applyDeadline(
+      startInput
+        ? {
+            date,
+            startDate: previous?.startDate || today,
+            startWords: parseInt(startInput, 10),
+          }
+        : { date, startDate: today, startWords: measureProgress() }
+    );
+    showToast('Deadline saved ✓');
+  } catch (err) {
+    errorHandler.error(err, 'setDeadline', { notify: true });
+  }
+});
+
+els.deadlineSetBtn?.addEventListener('click', openDeadlineDialog);
+els.deadlineEditBtn?.addEventListener('click', openDeadlineDialog);
+
+els.deadlineRemoveBtn?.addEventListener('click', async () => {
+  if (!tabCoordinator.isEditable()) return;
+  if (!confirm('Remove the deadline? Your goal stays as it is.')) return;
+  try {
+    await applyDeadline(null);
+  } catch (err) {
+    errorHandler.error(err, 'removeDeadline', { notify: true });
+  }
 });
 
 // ---------- Unified Sprint Pill ----------
+const SPRINT_MAX_MINUTES = 180;
+
+// Favourite lengths, then a free-entry length and the Pomodoro
+function renderIdlePopover() {
+  const { workMins, rounds } = pomodoro.getSettings();
+  const favorites = appState.sprintFavorites
+    .map(
+      (mins) => `
+        <span class="sprint-favorite">
+          <button class="sprint-option" role="menuitem" data-mins="${mins}">${mins} min</button>
+          <button class="sprint-unfavorite" type="button" data-unfavorite="${mins}" aria-label="Remove ${mins} min from favourites" title="Remove from favourites">×</button>
+        </span>`
+    )
+    .join('');
+  return `
+    <label class="sprint-target">
+      🎯 Target
+      <input type="number" id="sprintTargetWords" min="1" max="99999" placeholder="optional" aria-label="Word target for the sprint" />
+      words
+    </label>
+    <div class="sprint-favorites">${favorites}</div>
+    <form class="sprint-custom" id="sprintCustomForm">
+      <input type="number" id="sprintCustomMins" min="1" max="${SPRINT_MAX_MINUTES}" step="1" placeholder="min" aria-label="Sprint length in minutes" required />
+      <button class="sprint-option" role="menuitem" data-action="custom">Start</button>
+      <button class="sprint-option" type="button" role="menuitem" data-action="favorite" title="Save this length as a favourite">☆ Save</button>
+    </form>
+    <button class="sprint-option" role="menuitem" data-action="stopwatch" title="Count up until you stop it">⏱ Stopwatch</button>
+    <button class="sprint-option" role="menuitem" data-action="pomodoro">🍅 Pomodoro ${rounds}×${workMins}</button>
+    <button class="sprint-option" role="menuitem" data-action="pomodoro-settings">Pomodoro settings…</button>
+  `;
+}
+
 function openSprintPopover() {
   if (!els.sprintPopover) return;
+
+  // Stats are recorded by the editing tab only
+  if (!sprintManager.isActive() && !tabCoordinator.isEditable()) {
+    showToast('Sprints run in the tab where this document is being edited');
+    return;
+  }
   els.sprintPill.classList.add('menu-open');
 
   // Update popover content based on state
-  if (sprintManager.isPaused()) {
+  const idle = !sprintManager.isActive() && !pomodoro.isOnBreak();
+  els.sprintPopover.classList.toggle('stacked', idle);
+  if (pomodoro.isOnBreak()) {
     els.sprintPopover.innerHTML = `
-      <button class="sprint-option" role="menuitem" data-action="resume">▶ Resume</button>
-      <button class="sprint-option sprint-option-danger" role="menuitem" data-action="reset">✕ Reset</button>
+      <button class="sprint-option" role="menuitem" data-action="skip-break">⏭ Skip break</button>
+      <button class="sprint-option sprint-option-danger" role="menuitem" data-action="stop-pomodoro">✕ Stop Pomodoro</button>
     `;
-  } else {
+  } else if (sprintManager.isPaused()) {
+    const reset = pomodoro.isActive() ? '✕ Stop Pomodoro' : '✕ Reset';
+    // A stopwatch is stopped (and recorded) by hand
+    const stop = sprintManager.isCountUp()
+      ? '<button class="sprint-option" role="menuitem" data-action="stop">■ Stop</button>'
+      : '';
     els.sprintPopover.innerHTML = `
-      <button class="sprint-option" role="menuitem" data-mins="15">15 min</button>
-      <button class="sprint-option" role="menuitem" data-mins="25">25 min</button>
+      <button class="sprint-option" role="menuitem" data-action="resume">▶ Resume</button>
+      ${stop}
+      <button class="sprint-option sprint-option-danger" role="menuitem" data-action="reset">${reset}</button>
     `;
+  } else {
+    els.sprintPopover.innerHTML = renderIdlePopover();
   }
 
   els.sprintPopover.classList.add('open');
@@ -1527,14 +6778,10 @@ els.sprintPill?.addEventListener('click', (e) => {
   // If clicking inside popover, let it handle itself
   if (e.target.closest('.sprint-popover')) return;
 
-  if (sprintManager.isIdle()) {
-    // Toggle popover
-    const isOpen = els.sprintPopover?.classList.contains('open');
-    isOpen ? closeSprintPopover() : openSprintPopover();
-  } else if (sprintManager.isRunning()) {
+  if (sprintManager.isRunning()) {
     sprintManager.pause();
-  } else if (sprintManager.isPaused()) {
-    // Show popover with resume/reset options
+  } else {
+    // Start options, resume/reset when paused, or the break's options
     const isOpen = els.sprintPopover?.classList.contains('open');
     isOpen ? closeSprintPopover() : openSprintPopover();
   }
@@ -1542,15 +6789,17 @@ els.sprintPill?.addEventListener('click', (e) => {
 
 // Keyboard support for sprint pill
 els.sprintPill?.addEventListener('keydown', (e) => {
+  // Keys typed into the popover (the custom length) are its own
+  if (e.target.closest('.sprint-popover')) return;
   if (e.key === 'Enter' || e.key === ' ') {
     e.preventDefault();
-    if (sprintManager.isIdle()) {
-      const isOpen = els.sprintPopover?.classList.contains('open');
-      isOpen ? closeSprintPopover() : openSprintPopover();
-    } else if (sprintManager.isRunning()) {
+    if (sprintManager.isRunning()) {
       sprintManager.pause();
     } else if (sprintManager.isPaused()) {
       sprintManager.resume();
+    } else {
+      const isOpen = els.sprintPopover?.classList.contains('open');
+      isOpen ? closeSprintPopover() : openSprintPopover();
     }
   }
   if (e.key === 'Escape') {
@@ -1558,25 +6807,101 @@ els.sprintPill?.addEventListener('keydown', (e) => {
   }
 });
 
+// The custom length typed into the popover, or null (with a hint) if invalid
+function readCustomMinutes() {
+  const input = document.getElementById('sprintCustomMins');
+  if (!input?.reportValidity()) return null;
+  return Number(input.value);
+}
+
+// The optional word target typed into the popover: a number, 0 for none,
+// or null (with a hint) if invalid
+function readSprintTarget() {
+  const input = document.getElementById('sprintTargetWords');
+  if (!input?.value) return 0;
+  return input.reportValidity() ? Number(input.value) : null;
+}
+
+// Start a plain sprint from the popover, with its target if one was set
+function startSprintFromPopover(minutes) {
+  const target = readSprintTarget();
+  if (target == null) return;
+  closeSprintPopover();
+  sprintManager.start(minutes, countWords(editor.value), { target });
+}
+
+async function saveSprintFavorites(favorites) {
+  appState.sprintFavorites = favorites;
+  await storage.set(STORAGE_KEYS.sprintFavorites, favorites);
+  els.sprintPopover.innerHTML = renderIdlePopover();
+}
+
 // Duration/action selection from popover
-els.sprintPopover?.addEventListener('click', (e) => {
+els.sprintPopover?.addEventListener('click', async (e) => {
+  const unfavorite = e.target.closest('[data-unfavorite]');
+  if (unfavorite) {
+    e.preventDefault();
+    const mins = Number(unfavorite.dataset.unfavorite);
+    await saveSprintFavorites(
+      appState.sprintFavorites.filter((fav) => fav !== mins)
+    );
+    return;
+  }
+
   const btn = e.target.closest('.sprint-option');
   if (!btn) return;
+  e.preventDefault(); // buttons in the custom form don't submit it
 
   const action = btn.dataset.action;
   const mins = btn.dataset.mins;
 
+  if (action === 'favorite') {
+    const custom = readCustomMinutes();
+    if (custom && !appState.sprintFavorites.includes(custom)) {
+      await saveSprintFavorites(
+        [...appState.sprintFavorites, custom].sort((a, b) => a - b)
+      );
+    }
+    return;
+  }
+  if (action === 'custom') {
+    const custom = readCustomMinutes();
+    if (custom) startSprintFromPopover(custom);
+    return;
+  }
+  if (mins) {
+    startSprintFromPopover(Number(mins));
+    return;
+  }
+
   closeSprintPopover();
 
   if (action === 'resume') {
     sprintManager.resume();
+  } else if (action === 'stop') {
+    sprintManager.stop();
+  } else if (action === 'stopwatch') {
+    sprintManager.start(0, countWords(editor.value), { countUp: true });
   } else if (action === 'reset') {
-    sprintManager.reset();
-  } else if (mins) {
-    sprintManager.start(Number(mins), countWords(editor.value));
+    pomodoro.isActive() ? pomodoro.stop() : sprintManager.reset();
+  } else if (action === 'pomodoro') {
+    pomodoro.start();
+  } else if (action === 'pomodoro-settings') {
+    openPomodoroDialog();
+  } else if (action === 'skip-break') {
+    pomodoro.skipBreak();
+  } else if (action === 'stop-pomodoro') {
+    pomodoro.stop();
   }
 });
 
+// Enter in the custom length starts it
+els.sprintPopover?.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const custom = readCustomMinutes();
+  if (custom) startSprintFromPopover(custom);
+});
+
 // Close popover when clicking outside
 document.addEventListener('click', (e) => {
   if (!els.sprintPopover?.classList.contains('open')) return;
@@ -1592,6 +6917,15 @@ els.sprintPopover?.addEventListener('keydown', (e) => {
   );
   const idx = options.indexOf(document.activeElement);
 
+  // Arrows in the number fields change their value
+  if (e.target.matches('input')) {
+    if (e.key === 'Escape') {
+      closeSprintPopover();
+      els.sprintPill?.focus();
+    }
+    return;
+  }
+
   if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
     e.preventDefault();
     options[(idx + 1) % options.length]?.focus();
@@ -1606,6 +6940,50 @@ els.sprintPopover?.addEventListener('keydown', (e) => {
   }
 });
 
+// ----- Pomodoro settings dialog -----
+function openPomodoroDialog() {
+  const settings = pomodoro.getSettings();
+  els.pomodoroWork.value = settings.workMins;
+  els.pomodoroBreak.value = settings.breakMins;
+  els.pomodoroLongBreak.value = settings.longBreakMins;
+  els.pomodoroRounds.value = settings.rounds;
+  els.pomodoroLock.checked = settings.lockBreaks;
+  els.pomodoroError.hidden = true;
+  els.pomodoroDialog.showModal();
+}
+
+els.pomodoroForm?.addEventListener('submit', async (e) => {
+  // Cancel just closes the dialog
+  if (e.submitter?.value !== 'save') return;
+  e.preventDefault();
+
+  const settings = {
+    workMins: parseInt(els.pomodoroWork.value, 10),
+    breakMins: parseInt(els.pomodoroBreak.value, 10),
+    longBreakMins: parseInt(els.pomodoroLongBreak.value, 10),
+    rounds: parseInt(els.pomodoroRounds.value, 10),
+    lockBreaks: els.pomodoroLock.checked,
+  };
+  const { workMins, breakMins, longBreakMins, rounds } = settings;
+  if (![workMins, breakMins, longBreakMins, rounds].every((n) => n >= 1)) {
+    els.pomodoroError.textContent =
+      'Every length and count must be at least 1.';
+    els.pomodoroError.hidden = false;
+    return;
+  }
+
+  pomodoro.setSettings(settings);
+  await storage.set(STORAGE_KEYS.pomodoro, settings);
+  els.pomodoroDialog.close();
+  showToast(
+    pomodoro.isActive()
+      ? 'Pomodoro settings saved ✓ (from the next cycle)'
+      : 'Pomodoro settings saved ✓'
+  );
+});
+
+els.breakSkipBtn?.addEventListener('click', () => pomodoro.skipBreak());
+
 document.querySelectorAll('[data-preset]').forEach((p) =>
   p.addEventListener('click', async () => {
     goalInput.value = p.dataset.preset;
@@ -1644,6 +7022,13 @@ document.querySelectorAll('.export-option').forEach((btn) => {
     if (type === 'txt') exportTxt();
     if (type === 'docx') exportDocx();
     if (type === 'md') exportMarkdown();
+    if (type === 'file-save') saveToFile();
+    if (type === 'file-open') openLinkedFile();
+    if (type === 'stats-days-csv') exportStats('days-csv');
+    if (type === 'stats-sprints-csv') exportStats('sprints-csv');
+    if (type === 'stats-json') exportStats('json');
+    if (type === 'backup') exportBackup();
+    if (type === 'restore') els.restoreFile?.click();
   });
 });
 
@@ -1673,8 +7058,16 @@ els.clearBtn?.addEventListener('click', (e) => {
 
 els.clearEditorBtn?.addEventListener('click', async () => {
   closeClearMenu(false);
-  if (confirm('Clear the editor? This will remove current text.')) {
+  if (!requireEditableTab()) return;
+  if (
+    confirm(
+      'Clear the editor? This will remove current text.\n\nA copy will be kept in version history.'
+    )
+  ) {
+    await takeSnapshot('clear');
     editor.value = '';
+    // Clearing isn't deleting by hand, so today's words stay as they are
+    resetWordTracking();
     appState.startTime = Date.now();
     updateAll();
     await save();
@@ -1683,35 +7076,27 @@ els.clearEditorBtn?.addEventListener('click', async () => {
 
 els.newSessionBtn?.addEventListener('click', async () => {
   closeClearMenu(false);
+  if (!requireEditableTab()) return;
   const confirmReset = confirm(
     "Start a new session?\n\nThis will clear the editor AND reset today's stats (words, minutes, sprints).\n\nYour daily streak will be preserved."
   );
   if (confirmReset) {
-    // Clear editor
+    // Keep the outgoing text in version history, then clear editor
+    await takeSnapshot('session');
     editor.value = '';
     appState.startTime = Date.now();
 
-    // Reset today's stats
-    const todayStamp = getLocalDateStamp();
-    await storage.set('wt:sessionStats', {
-      date: todayStamp,
-      words: 0,
-      minutes: 0,
-      sprints: 0,
-      bestSprint: 0,
-    });
-
-    // Reset typing time
-    await storage.set('wt:typingTime', {
-      date: appState.typing.date,
-      time: 0,
-    });
-    appState.typing.totalTime = 0;
+    // Reset today's stats (words, typing time, sprints)
+    try {
+      await db.dailyStats.put(createDailyStats(getLocalDateStamp()));
+    } catch (err) {
+      errorHandler.error(err, 'newSession', { notify: true });
+    }
+    tabCoordinator.post({ type: 'stats' });
+    activityTracker.discard();
 
     // Reset tracking state
-    appState.peakWordCount = 0;
-    appState.lastSyncedWords = 0;
-    appState.lastWordCount = 0;
+    resetWordTracking();
 
     updateAll();
     await save();
@@ -1828,6 +7213,12 @@ els.importFile.addEventListener('change', async (e) => {
   e.target.value = '';
 });
 
+els.restoreFile?.addEventListener('change', async (e) => {
+  const f = e.target.files?.[0];
+  if (f) await restoreBackupFile(f);
+  e.target.value = '';
+});
+
 els.focusBtn.addEventListener('click', toggleFocus);
 els.exitFocus.addEventListener('click', toggleFocus);
 
@@ -1863,6 +7254,12 @@ els.sidebarToggle.addEventListener('click', (e) => {
   document.body.classList.toggle('sidebar-open', isOpen);
   els.sidebarToggle.setAttribute('aria-expanded', String(isOpen));
   els.sidebar.setAttribute('aria-hidden', String(!isOpen));
+  if (isOpen) {
+    renderDocumentList();
+    renderStorageStatus();
+    renderLockStatus();
+    renderHeatmap();
+  }
 });
 
 // ---------- Unified Outside-Click Handling ----------
@@ -1873,10 +7270,14 @@ document.addEventListener('click', (e) => {
   const sidebarOpen = els.sidebar?.classList.contains('open');
   const aboutOpen = els.aboutPanel?.classList.contains('open');
   const menuOpen = els.exportMenu?.classList.contains('open');
+  const historyOpen = els.historyPanel?.classList.contains('open');
+  const sprintsOpen = els.sprintPanel?.classList.contains('open');
 
   const insideSidebar = !!els.sidebar && els.sidebar.contains(t);
   const insideAbout = !!els.aboutPanel && els.aboutPanel.contains(t);
   const insideMenu = !!els.exportMenu && els.exportMenu.contains(t);
+  const insideHistory = !!els.historyPanel && els.historyPanel.contains(t);
+  const insideSprints = !!els.sprintPanel && els.sprintPanel.contains(t);
 
   const isSidebarBtn = t === els.sidebarToggle;
   const isAboutBtn = t === els.aboutToggle;
@@ -1893,7 +7294,8 @@ document.addEventListener('click', (e) => {
     !insideSidebar &&
     !isSidebarBtn &&
     !insideAbout &&
-    !isAboutBtn
+    !isAboutBtn &&
+    !insideSprints
   ) {
     els.sidebar.classList.remove('open');
     document.body.classList.remove('sidebar-open');
@@ -1906,6 +7308,16 @@ document.addEventListener('click', (e) => {
     els.aboutPanel.classList.remove('open');
     els.aboutPanel.setAttribute('aria-hidden', 'true');
   }
+
+  // ----- Close History Panel -----
+  if (historyOpen && !insideHistory && t !== els.historyBtn) {
+    closeHistoryPanel();
+  }
+
+  // ----- Close Sprint History Panel -----
+  if (sprintsOpen && !insideSprints && t !== els.sprintHistoryBtn) {
+    closeSprintPanel();
+  }
 });
 
 // OPEN About panel
@@ -1933,7 +7345,19 @@ document.addEventListener('keydown', (e) => {
   // If Export menu is open, let its own handler deal with it
   if (els.exportMenu?.classList.contains('open')) return;
 
-  // 1) Close About panel first, if open
+  // 1) Close History or About panel first, if open
+  if (els.historyPanel?.classList.contains('open')) {
+    e.preventDefault();
+    closeHistoryPanel(true);
+    return;
+  }
+
+  if (els.sprintPanel?.classList.contains('open')) {
+    e.preventDefault();
+    closeSprintPanel(true);
+    return;
+  }
+
   if (els.aboutPanel?.classList.contains('open')) {
     e.preventDefault();
     els.aboutPanel.classList.remove('open');
@@ -1963,16 +7387,54 @@ async function init() {
       APP_TAGLINES[Math.floor(Math.random() * APP_TAGLINES.length)];
   }
 
-  // 1. Load Typing Time (Must happen before updateSessionStats)
-  // We check for the existing date to determine if we continue or reset the time.
-  const savedTyping = await storage.get('wt:typingTime', {});
-  if (savedTyping.date === appState.typing.date) {
-    appState.typing.totalTime = savedTyping.time || 0;
+  // 0. Notice if the browser wiped our database since the last visit
+  const evicted = await checkForEviction();
+  if (evicted) showEvictionNotice(evicted);
+  requestPersistentStorage();
+  registerServiceWorker();
+  await tabCoordinator.register();
+
+  // Nothing is decrypted before the passphrase is entered
+  await vault.load();
+  if (vault.isLocked()) await showLockScreen();
+  renderLockStatus();
+
+  // 1. Idle timeout for the active-time clock
+  activityTracker.setIdleTimeout(await storage.get(STORAGE_KEYS.idleTimeout));
+  if (els.idleTimeoutSelect) {
+    els.idleTimeoutSelect.value = activityTracker.getIdleTimeout();
+  }
+
+  // 2. When the writing day starts, before anything is filed under a day
+  appState.dayBoundary = {
+    ...DAY_BOUNDARY_DEFAULTS,
+    ...(await storage.get(STORAGE_KEYS.dayBoundary)),
+  };
+  renderDayBoundary();
+
+  // 3. Counting rules, the daily goal, then the page size for page goals
+  wordCounter.setRules(await storage.get(STORAGE_KEYS.wordCounting));
+  appState.dailyGoal = (await storage.get(STORAGE_KEYS.dailyGoal)) || 0;
+  if (els.dailyGoalInput) els.dailyGoalInput.value = appState.dailyGoal;
+  appState.wordsPerPage =
+    (await storage.get(STORAGE_KEYS.wordsPerPage)) || WORDS_PER_PAGE_DEFAULT;
+  if (els.wordsPerPageInput) {
+    els.wordsPerPageInput.value = appState.wordsPerPage;
   }
 
-  // 2. Load the rest of the application state
+  // 4. Sprint favourites and Pomodoro settings
+  appState.sprintFavorites =
+    (await storage.get(STORAGE_KEYS.sprintFavorites)) ||
+    appState.sprintFavorites;
+  pomodoro.setSettings(await storage.get(STORAGE_KEYS.pomodoro));
+
+  // 5. Load the rest of the application state
   await loadState();
   await updateSessionStats();
+  await updateStreakUI();
+
+  // 6. A sprint still running from before a reload, timed by the wall clock
+  await restoreSprint();
 
   // Disable DOCX export if the library isn't loaded
   const docxBtn = els.exportMenu?.querySelector('[data-type="docx"]');
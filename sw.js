@@ -0,0 +1,112 @@
+// ---------- MinWrite Service Worker ----------
+// Precaches the app shell and the pinned vendor libraries so MinWrite runs
+// with no network at all. Bump CACHE_VERSION with every release: the new
+// worker then installs next to the old one, the page offers a reload, and
+// the old cache is deleted once the new worker takes over.
+
+const CACHE_VERSION = 'minwrite-v1';
+
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './styles.css',
+  './script.js',
+  './assets/favicon.png',
+  './assets/bmc-logo-no-background.png',
+  './sounds/mixkit-uplifting-bells-notification-938.wav',
+  './vendor/dexie-4.4.6.min.js',
+  './vendor/tock-1.1.1.min.js',
+  './vendor/docx-8.5.0.umd.js',
+  './vendor/mammoth-1.6.0.browser.min.js',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_VERSION)
+      // Skip the HTTP cache so a release never precaches stale files
+      .then((cache) =>
+        cache.addAll(
+          PRECACHE_URLS.map((url) => new Request(url, { cache: 'reload' }))
+        )
+      )
+  );
+  // No skipWaiting() here: the page decides when to switch (see script.js)
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith('minwrite-'))
+            .filter((key) => key !== CACHE_VERSION)
+            .map((key) => caches.delete(key))
+        )
+      )
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skip-waiting') self.skipWaiting();
+});
+
+// Media elements ask for byte ranges; answer them from the cached file
+async function rangeResponse(request, response) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range'));
+  if (!match) return response;
+
+  const blob = await response.blob();
+  const start = match[1] ? Number(match[1]) : 0;
+  const end = match[2] ? Number(match[2]) : blob.size - 1;
+  if (start >= blob.size || end < start) {
+    return new Response(null, {
+      status: 416,
+      headers: { 'Content-Range': `bytes */${blob.size}` },
+    });
+  }
+
+  const slice = blob.slice(start, end + 1);
+  return new Response(slice, {
+    status: 206,
+    headers: {
+      'Content-Type': response.headers.get('Content-Type') || '',
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Content-Length': String(slice.size),
+    },
+  });
+}
+
+async function respond(request) {
+  const cache = await caches.open(CACHE_VERSION);
+
+  // Pages: the cached shell, even for deep links (mirrors _redirects)
+  if (request.mode === 'navigate') {
+    const page = await cache.match(request, { ignoreSearch: true });
+    if (page) return page;
+    try {
+      return await fetch(request);
+    } catch (err) {
+      return cache.match('./index.html');
+    }
+  }
+
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) {
+    return request.headers.has('range')
+      ? rangeResponse(request, cached)
+      : cached;
+  }
+  return fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  // Only our own files; fonts and anything else go to the network as usual
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+  event.respondWith(respond(event.request));
+});
@@ -0,0 +1,48 @@
+// Runs the word counter from script.js against corpus.json:
+//   node test/word-count/run.js
+// script.js is a browser script, so the counter's section is cut out of it
+// and run on its own. Expected counts follow ICU's word boundaries as
+// shipped with Node; browsers use the same rules.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const source = fs.readFileSync(
+  path.join(__dirname, '..', '..', 'script.js'),
+  'utf8'
+);
+const start = source.indexOf('const WORD_COUNT_DEFAULTS');
+const end = source.indexOf('const wordCounter = createWordCounter();');
+if (start < 0 || end < start) {
+  console.error('Word counter not found in script.js');
+  process.exit(1);
+}
+
+// A fresh counter, optionally in a browser without Intl.Segmenter
+const loadCounter = (segmenter) => {
+  const context = segmenter ? {} : { Intl: {} };
+  return vm.runInNewContext(
+    `${source.slice(start, end)}\ncreateWordCounter();`,
+    context
+  );
+};
+
+const corpus = JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'corpus.json'), 'utf8')
+);
+
+let failed = 0;
+corpus.forEach((sample) => {
+  const counter = loadCounter(sample.segmenter !== false);
+  counter.setRules(sample.rules);
+  const actual = counter.count(sample.text, sample.language);
+  if (actual === sample.expected) return;
+  failed++;
+  console.error(
+    `✗ ${sample.name} (${sample.language}): expected ${sample.expected}, got ${actual}`
+  );
+});
+
+console.log(`${corpus.length - failed}/${corpus.length} word counts match`);
+process.exitCode = failed ? 1 : 0;